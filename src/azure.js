@@ -0,0 +1,121 @@
+/**
+ * Azure collectors: resource utilization and storage of Azure SQL Database databases (sys.dm_db_resource_stats) and
+ * of Managed Instances (sys.server_resource_stats)
+ */
+const metricsLog = require("debug")("metrics");
+const client = require("prom-client");
+
+/**
+ * Creates the Azure collectors with their metrics registered in the given registry
+ *
+ * @param registry {client.Registry} registry receiving the metrics
+ *
+ * @returns {Object} collectors by name: {metrics, query, collect: function(rows, metrics, host), supports, perDatabase}
+ */
+function getAzureMetrics(registry = client.register) {
+  const registers = [registry];
+  const databaseGauge = (name, help) => new client.Gauge({ name, help, labelNames: ["host", "database"], registers });
+  const instanceGauge = (name, help) => new client.Gauge({ name, help, labelNames: ["host"], registers });
+
+  return {
+    mssql_azure_resource_stats: {
+      metrics: {
+        mssql_azure_cpu_percent: databaseGauge("mssql_azure_cpu_percent", "CPU utilization in percentage of the limit of the service tier"),
+        mssql_azure_data_io_percent: databaseGauge("mssql_azure_data_io_percent", "Data IO utilization in percentage of the limit of the service tier"),
+        mssql_azure_log_write_percent: databaseGauge("mssql_azure_log_write_percent", "Log write throughput in percentage of the limit of the service tier"),
+        mssql_azure_memory_percent: databaseGauge("mssql_azure_memory_percent", "Memory utilization in percentage of the limit of the service tier"),
+        mssql_azure_workers_percent: databaseGauge("mssql_azure_workers_percent", "Concurrent workers in percentage of the limit of the service tier"),
+        mssql_azure_sessions_percent: databaseGauge("mssql_azure_sessions_percent", "Concurrent sessions in percentage of the limit of the service tier"),
+        mssql_azure_dtu_percent: databaseGauge(
+          "mssql_azure_dtu_percent",
+          "DTU utilization (highest of the CPU, data IO and log write percentages), DTU purchasing model only"
+        ),
+        mssql_azure_dtu_limit: databaseGauge("mssql_azure_dtu_limit", "DTU limit of the database, DTU purchasing model only"),
+        mssql_azure_vcores: databaseGauge("mssql_azure_vcores", "Number of vCores of the database, vCore purchasing model only"),
+      },
+      supports: { editions: ["azure_sql_database"] },
+      perDatabase: true,
+      // latest of the 15 seconds intervals, kept for one hour
+      query: `SELECT TOP 1 DB_NAME(), avg_cpu_percent, avg_data_io_percent, avg_log_write_percent, avg_memory_usage_percent,
+                     max_worker_percent, max_session_percent, dtu_limit, cpu_limit
+              FROM sys.dm_db_resource_stats
+              ORDER BY end_time DESC`,
+      collect: (rows, metrics, host) => {
+        const [database, cpu, dataIo, logWrite, memory, workers, sessions, dtuLimit, vcores] = rows[0];
+        const labels = { host, database };
+        metricsLog("Fetched Azure resource utilization", labels, cpu, dataIo, logWrite, memory, workers, sessions, dtuLimit, vcores);
+        metrics.mssql_azure_cpu_percent.set(labels, cpu);
+        metrics.mssql_azure_data_io_percent.set(labels, dataIo);
+        metrics.mssql_azure_log_write_percent.set(labels, logWrite);
+        metrics.mssql_azure_memory_percent.set(labels, memory);
+        metrics.mssql_azure_workers_percent.set(labels, workers);
+        metrics.mssql_azure_sessions_percent.set(labels, sessions);
+        if (dtuLimit !== null) {
+          metrics.mssql_azure_dtu_percent.set(labels, Math.max(cpu, dataIo, logWrite));
+          metrics.mssql_azure_dtu_limit.set(labels, dtuLimit);
+        }
+        if (vcores !== null) metrics.mssql_azure_vcores.set(labels, vcores);
+      },
+    },
+    mssql_azure_storage: {
+      metrics: {
+        mssql_azure_storage_used_bytes: databaseGauge("mssql_azure_storage_used_bytes", "Space used in the data files of the database"),
+        mssql_azure_storage_max_bytes: databaseGauge("mssql_azure_storage_max_bytes", "Maximum size of the data of the database"),
+        mssql_azure_storage_percent: databaseGauge("mssql_azure_storage_percent", "Space used in the data files in percentage of the maximum size"),
+      },
+      supports: { editions: ["azure_sql_database"] },
+      perDatabase: true,
+      query: `SELECT DB_NAME(),
+                     SUM(CAST(FILEPROPERTY(name, 'SpaceUsed') AS BIGINT)) * 8192,
+                     CAST(DATABASEPROPERTYEX(DB_NAME(), 'MaxSizeInBytes') AS BIGINT)
+              FROM sys.database_files
+              WHERE type = 0`,
+      collect: (rows, metrics, host) => {
+        const [database, used, max] = rows[0];
+        const labels = { host, database };
+        metricsLog("Fetched Azure storage", labels, used, max);
+        metrics.mssql_azure_storage_used_bytes.set(labels, +used);
+        // no maximum size on Hyperscale
+        if (max > 0) {
+          metrics.mssql_azure_storage_max_bytes.set(labels, +max);
+          metrics.mssql_azure_storage_percent.set(labels, (100 * used) / max);
+        }
+      },
+    },
+    mssql_azure_instance_resource_stats: {
+      metrics: {
+        mssql_azure_instance_cpu_percent: instanceGauge(
+          "mssql_azure_instance_cpu_percent",
+          "CPU utilization of the Managed Instance in percentage of its vCores"
+        ),
+        mssql_azure_instance_vcores: instanceGauge("mssql_azure_instance_vcores", "Number of vCores of the Managed Instance"),
+        mssql_azure_instance_storage_used_bytes: instanceGauge(
+          "mssql_azure_instance_storage_used_bytes",
+          "Storage used by the files of all the databases of the Managed Instance"
+        ),
+        mssql_azure_instance_storage_reserved_bytes: instanceGauge("mssql_azure_instance_storage_reserved_bytes", "Storage reserved for the Managed Instance"),
+        mssql_azure_instance_storage_percent: instanceGauge("mssql_azure_instance_storage_percent", "Storage used in percentage of the reserved storage"),
+      },
+      supports: { editions: ["managed_instance"] },
+      // no rows during the first minutes of the instance
+      allowEmpty: true,
+      // latest of the 5 minutes intervals
+      query: `SELECT TOP 1 avg_cpu_percent, virtual_core_count, storage_space_used_mb, reserved_storage_mb
+              FROM master.sys.server_resource_stats
+              ORDER BY end_time DESC`,
+      collect: (rows, metrics, host) => {
+        const [cpu, vcores, used, reserved] = rows[0];
+        metricsLog("Fetched Managed Instance resource utilization", host, cpu, vcores, used, reserved);
+        metrics.mssql_azure_instance_cpu_percent.set({ host }, cpu);
+        metrics.mssql_azure_instance_vcores.set({ host }, vcores);
+        metrics.mssql_azure_instance_storage_used_bytes.set({ host }, used * 1024 * 1024);
+        metrics.mssql_azure_instance_storage_reserved_bytes.set({ host }, reserved * 1024 * 1024);
+        metrics.mssql_azure_instance_storage_percent.set({ host }, (100 * used) / reserved);
+      },
+    },
+  };
+}
+
+module.exports = {
+  getAzureMetrics,
+};
@@ -0,0 +1,50 @@
+/**
+ * Selection of the collectors run against a target
+ */
+
+/**
+ * Collectors kept by an include (allowlist) and exclude (denylist) selection. mssql_up is always kept as it reports
+ * the health of the target.
+ *
+ * @param entries {Object} collectors by name
+ * @param selection {{include: Array<string>|null, exclude: Array<string>}} collector names
+ * @param context {string} origin of the selection, used in error messages
+ *
+ * @returns {Object} selected collectors by name
+ */
+function selectCollectors(entries, { include, exclude }, context) {
+  for (const name of (include || []).concat(exclude)) {
+    if (!entries[name]) {
+      throw new Error(`Unknown collector '${name}' in ${context}`);
+    }
+  }
+  const selected = {};
+  for (const [name, entry] of Object.entries(entries)) {
+    if (name === "mssql_up" || ((!include || include.includes(name)) && !exclude.includes(name))) {
+      selected[name] = entry;
+    }
+  }
+  return selected;
+}
+
+/**
+ * Names of the metrics of a set of collectors
+ *
+ * @param entries {Object} collectors by name
+ *
+ * @returns {Set<string>} metric names
+ */
+function metricNames(entries) {
+  const names = new Set();
+  for (const entry of Object.values(entries)) {
+    for (const metric of Object.values(entry.metrics)) {
+      names.add(metric.name);
+    }
+  }
+  return names;
+}
+
+module.exports = {
+  selectCollectors,
+  metricNames,
+};
@@ -0,0 +1,608 @@
+/**
+ * Exporter configuration
+ *
+ * Read from a YAML or JSON file given by --config <path> or CONFIG_FILE, otherwise built from the
+ * CONNECTION_STRINGS and EXPOSE environment variables.
+ */
+const appLog = require("debug")("app");
+const fs = require("fs");
+const path = require("path");
+const sql = require("mssql");
+const yaml = require("js-yaml");
+const { validateCustomMetrics } = require("./custom-metrics");
+const { QUERY_TEXT_MODES } = require("./query-text");
+const { addSecret, redact } = require("./secrets");
+
+const DEFAULT_PORT = 4000;
+const DEFAULT_QUERY_TIMEOUT = 15;
+const DEFAULT_SCRAPE_TIMEOUT_OFFSET = 0.5;
+const LABEL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+// labels the exporter adds to every series of a target
+const RESERVED_LABEL_NAMES = ["host", "target"];
+const ENV_REFERENCE_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+/**
+ * Throws a readable validation error for the given config path
+ */
+function invalid(at, message) {
+  throw new Error(`Invalid configuration: ${at || "file"} ${message}`);
+}
+
+function child(at, key) {
+  return at ? `${at}.${key}` : key;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function checkKeys(value, at, allowed) {
+  if (!isObject(value)) invalid(at, "must be an object");
+  for (const key of Object.keys(value)) {
+    if (!allowed.includes(key)) invalid(child(at, key), `is not a known setting (expected one of ${allowed.join(", ")})`);
+  }
+}
+
+function checkString(value, at) {
+  if (typeof value !== "string" || value.length === 0) invalid(at, "must be a non-empty string");
+}
+
+function checkNumber(value, at) {
+  if (typeof value !== "number" || !(value > 0)) invalid(at, "must be a positive number");
+}
+
+function checkFile(value, at) {
+  checkString(value, at);
+  try {
+    fs.accessSync(value, fs.constants.R_OK);
+  } catch (error) {
+    invalid(at, `cannot be read (${error.code})`);
+  }
+}
+
+function checkStringList(value, at) {
+  if (!Array.isArray(value)) invalid(at, "must be a list");
+  value.forEach((item, i) => checkString(item, `${at}[${i}]`));
+}
+
+function checkLabels(value, at) {
+  if (!isObject(value)) invalid(at, "must be an object");
+  for (const [name, labelValue] of Object.entries(value)) {
+    if (!LABEL_NAME_PATTERN.test(name) || name.startsWith("__")) invalid(`${at}.${name}`, "is not a valid label name");
+    if (RESERVED_LABEL_NAMES.includes(name)) invalid(`${at}.${name}`, "is reserved for the label added by the exporter");
+    if (typeof labelValue !== "string") invalid(`${at}.${name}`, "must be a string");
+  }
+}
+
+/**
+ * Collector selection is either a list of enabled collectors or an object with include (allowlist) and exclude
+ * (denylist) lists
+ *
+ * @returns {{include: Array<string>|null, exclude: Array<string>}}
+ */
+function checkCollectors(value, at) {
+  if (Array.isArray(value)) {
+    checkStringList(value, at);
+    return { include: value, exclude: [] };
+  }
+  checkKeys(value, at, ["include", "exclude"]);
+  if (value.include !== undefined) checkStringList(value.include, `${at}.include`);
+  if (value.exclude !== undefined) checkStringList(value.exclude, `${at}.exclude`);
+  return { include: value.include || null, exclude: value.exclude || [] };
+}
+
+/**
+ * Target selection: its own allowlist replaces the global one, denylists are combined
+ */
+function mergeCollectors(global, target) {
+  return {
+    include: target.include || global.include,
+    exclude: global.exclude.concat(target.exclude),
+  };
+}
+
+/**
+ * Comma separated list from an environment variable
+ */
+function listOf(value) {
+  return value
+    ? value
+        .split(",")
+        .map((item) => item.trim())
+        .filter((item) => item.length > 0)
+    : null;
+}
+
+function checkTimeouts(value, at) {
+  checkKeys(value, at, ["connect", "query", "collectors", "scrape", "scrape_offset"]);
+  for (const key of ["connect", "query", "scrape"]) {
+    if (value[key] !== undefined) checkNumber(value[key], `${at}.${key}`);
+  }
+  if (value.scrape_offset !== undefined && !(typeof value.scrape_offset === "number" && value.scrape_offset >= 0)) {
+    invalid(`${at}.scrape_offset`, "must be a number greater or equal to 0");
+  }
+  if (value.collectors !== undefined) {
+    if (!isObject(value.collectors)) invalid(`${at}.collectors`, "must be an object of collector names and seconds");
+    for (const [collector, seconds] of Object.entries(value.collectors)) checkNumber(seconds, `${at}.collectors.${collector}`);
+  }
+}
+
+/**
+ * Label policy of the query texts: {mode, length}
+ */
+function checkQueryText(value, at) {
+  checkKeys(value, at, ["mode", "length"]);
+  if (value.mode !== undefined && !QUERY_TEXT_MODES.includes(value.mode)) invalid(`${at}.mode`, `must be one of ${QUERY_TEXT_MODES.join(", ")}`);
+  if (value.length !== undefined) checkNumber(value.length, `${at}.length`);
+}
+
+/**
+ * Index health collectors settings: {interval (seconds), timeout (seconds), min_page_count, databases}
+ *
+ * @returns {{interval: number, timeout: number, minPageCount: number, databases: Array<string>|null}} settings with the
+ * interval and timeout in ms
+ */
+function checkIndexStats(value, at) {
+  checkKeys(value, at, ["interval", "timeout", "min_page_count", "databases"]);
+  if (value.interval !== undefined) checkNumber(value.interval, `${at}.interval`);
+  if (value.timeout !== undefined) checkNumber(value.timeout, `${at}.timeout`);
+  if (value.min_page_count !== undefined) checkNumber(value.min_page_count, `${at}.min_page_count`);
+  if (value.databases !== undefined) checkStringList(value.databases, `${at}.databases`);
+  return {
+    interval: value.interval !== undefined ? value.interval * 1000 : undefined,
+    timeout: value.timeout !== undefined ? value.timeout * 1000 : undefined,
+    minPageCount: value.min_page_count,
+    databases: value.databases,
+  };
+}
+
+/**
+ * Performance counters are a list of {object, counter, instance} patterns
+ */
+function checkPerformanceCounters(value, at) {
+  if (!Array.isArray(value)) invalid(at, "must be a list");
+  value.forEach((pattern, i) => {
+    checkKeys(pattern, `${at}[${i}]`, ["object", "counter", "instance"]);
+    checkString(pattern.object, `${at}[${i}].object`);
+    checkString(pattern.counter, `${at}[${i}].counter`);
+    if (pattern.instance !== undefined) checkString(pattern.instance, `${at}[${i}].instance`);
+  });
+}
+
+/**
+ * Combines the global and target timeouts into the timeouts used while scraping, in milliseconds
+ *
+ * @returns {{query: number, collectors: Object, scrape: number, scrapeOffset: number}}
+ */
+function scrapeTimeouts(global = {}, target = {}) {
+  const timeouts = Object.assign({}, global, target);
+  const collectors = {};
+  for (const [collector, seconds] of Object.entries(Object.assign({}, global.collectors, target.collectors))) {
+    collectors[collector] = seconds * 1000;
+  }
+  return {
+    query: (timeouts.query || DEFAULT_QUERY_TIMEOUT) * 1000,
+    collectors,
+    scrape: timeouts.scrape ? timeouts.scrape * 1000 : Infinity,
+    scrapeOffset: (timeouts.scrape_offset !== undefined ? timeouts.scrape_offset : DEFAULT_SCRAPE_TIMEOUT_OFFSET) * 1000,
+  };
+}
+
+/**
+ * Replaces ${VAR} references in every string of the parsed file with the value of the environment variable
+ *
+ * @param value {*} parsed configuration node
+ * @param env {Object} environment variables
+ * @param at {string} path of the node, used in error messages
+ *
+ * @returns {*} node with references replaced
+ */
+function interpolate(value, env, at) {
+  if (typeof value === "string") {
+    return value.replace(ENV_REFERENCE_PATTERN, (match, name) => {
+      if (env[name] === undefined) invalid(at, `references environment variable ${name} which is not set`);
+      return env[name];
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, i) => interpolate(item, env, `${at}[${i}]`));
+  }
+  if (isObject(value)) {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = interpolate(item, env, child(at, key));
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Authentication types of a target: the tedious authentication type they map to and their required and optional
+ * settings. The access token of azure_ad_token_file is read by the pool on each connection, as are the secrets given
+ * by a <setting>_file instead of their value.
+ */
+const AUTHENTICATION_TYPES = {
+  sql: { required: ["user", "password"], optional: [] },
+  ntlm: { tedious: "ntlm", required: ["domain", "user", "password"], optional: [] },
+  azure_ad_password: { tedious: "azure-active-directory-password", required: ["user", "password", "client_id"], optional: ["tenant_id"] },
+  azure_ad_service_principal: {
+    tedious: "azure-active-directory-service-principal-secret",
+    required: ["client_id", "client_secret", "tenant_id"],
+    optional: [],
+  },
+  azure_ad_managed_identity: { tedious: "azure-active-directory-msi-vm", required: [], optional: ["client_id"] },
+  azure_ad_app_service: { tedious: "azure-active-directory-msi-app-service", required: [], optional: ["client_id"] },
+  azure_ad_default: { tedious: "azure-active-directory-default", required: [], optional: ["client_id"] },
+  azure_ad_token_file: { required: ["token_file"], optional: [] },
+};
+const FILE_SECRETS = ["password", "client_secret"];
+
+function checkAuthentication(value, at) {
+  if (!isObject(value)) invalid(at, "must be an object");
+  if (!AUTHENTICATION_TYPES[value.type]) invalid(`${at}.type`, `must be one of ${Object.keys(AUTHENTICATION_TYPES).join(", ")}`);
+  const { required, optional } = AUTHENTICATION_TYPES[value.type];
+  const files = required.filter((key) => FILE_SECRETS.includes(key)).map((key) => `${key}_file`);
+  checkKeys(value, at, ["type", ...required, ...optional, ...files]);
+  for (const key of required) {
+    if (FILE_SECRETS.includes(key) && value[`${key}_file`] !== undefined) {
+      if (value[key] !== undefined) invalid(`${at}.${key}`, `cannot be combined with ${key}_file`);
+      checkFile(value[`${key}_file`], `${at}.${key}_file`);
+    } else {
+      checkString(value[key], `${at}.${key}`);
+    }
+  }
+  optional.forEach((key) => value[key] !== undefined && checkString(value[key], `${at}.${key}`));
+  if (value.token_file !== undefined) checkFile(value.token_file, `${at}.token_file`);
+}
+
+/**
+ * Sets the authentication of a target on its connection config, replacing the credentials of its connection string
+ */
+function applyAuthentication(connection, authentication) {
+  const { type, domain, user, password, client_id, client_secret, tenant_id, token_file } = authentication;
+  delete connection.user;
+  delete connection.password;
+  delete connection.domain;
+  if (authentication.password_file) connection.passwordFile = authentication.password_file;
+  if (authentication.client_secret_file) connection.clientSecretFile = authentication.client_secret_file;
+  addSecret(password);
+  addSecret(client_secret);
+  switch (type) {
+    case "sql":
+      Object.assign(connection, { user, password });
+      break;
+    case "azure_ad_token_file":
+      connection.tokenFile = token_file;
+      break;
+    default:
+      connection.authentication = {
+        type: AUTHENTICATION_TYPES[type].tedious,
+        options: { userName: user, password, domain, clientId: client_id, clientSecret: client_secret, tenantId: tenant_id },
+      };
+  }
+}
+
+/**
+ * Options every connection config needs for the collectors to work (rows as arrays)
+ */
+function finalizeConnection(connection) {
+  connection.arrayRowMode = true;
+  connection.options = Object.assign({}, connection.options, {
+    arrayRowMode: true,
+    rowCollectionOnRequestCompletion: true,
+  });
+  return connection;
+}
+
+/**
+ * Builds the mssql connection config of a target from either its connection_string or its discrete settings
+ */
+function targetConnection(target, timeouts, queryTimeouts) {
+  let connection;
+  if (target.connection_string) {
+    connection = sql.ConnectionPool.parseConnectionString(target.connection_string);
+    if (target.options) connection.options = Object.assign({}, connection.options, target.options);
+  } else {
+    connection = {
+      server: target.server,
+      port: target.port,
+      database: target.database,
+      user: target.user,
+      password: target.password,
+      options: Object.assign({}, target.options),
+    };
+  }
+  if (target.password_file) {
+    delete connection.password;
+    connection.passwordFile = target.password_file;
+  }
+  if (target.authentication) applyAuthentication(connection, target.authentication);
+  addSecret(connection.password);
+  if (timeouts.connect) connection.connectionTimeout = timeouts.connect * 1000;
+  // the driver timeout must not cut queries shorter than their own collector timeout
+  connection.requestTimeout = Math.max(queryTimeouts.query, ...Object.values(queryTimeouts.collectors));
+  return finalizeConnection(connection);
+}
+
+/**
+ * Name of the server of a connection config: server\instance for a named instance (whose port is resolved by the SQL
+ * Server Browser), server:port otherwise
+ */
+function serverName(connection) {
+  const instanceName = connection.options && connection.options.instanceName;
+  return instanceName ? `${connection.server}\\${instanceName}` : connection.server + (connection.port ? `:${connection.port}` : "");
+}
+
+/**
+ * Stable names of targets derived from their connection configs: the server name, followed by /database for every
+ * target sharing its server with another one, so that the names do not depend on the order of the connections.
+ *
+ * @param connections {Array<Object>} connection configs
+ *
+ * @returns {Array<string>} target names
+ */
+function targetNames(connections) {
+  const servers = connections.map(serverName);
+  return connections.map((connection, i) => {
+    const shared = servers.indexOf(servers[i]) !== servers.lastIndexOf(servers[i]);
+    return shared && connection.database ? `${servers[i]}/${connection.database}` : servers[i];
+  });
+}
+
+function validateTarget(target, at) {
+  checkKeys(target, at, [
+    "name",
+    "connection_string",
+    "server",
+    "port",
+    "database",
+    "user",
+    "password",
+    "options",
+    "labels",
+    "collectors",
+    "timeouts",
+    "all_databases",
+    "authentication",
+    "password_file",
+  ]);
+  checkString(target.name, `${at}.name`);
+  if (target.connection_string !== undefined) {
+    checkString(target.connection_string, `${at}.connection_string`);
+    for (const key of ["server", "port", "database", "user", "password"]) {
+      if (target[key] !== undefined) invalid(`${at}.${key}`, "cannot be combined with connection_string");
+    }
+  } else {
+    checkString(target.server, `${at}.server`);
+    if (target.port !== undefined) checkNumber(target.port, `${at}.port`);
+    for (const key of ["database", "user", "password"]) {
+      if (target[key] !== undefined) checkString(target[key], `${at}.${key}`);
+    }
+  }
+  if (target.options !== undefined && !isObject(target.options)) invalid(`${at}.options`, "must be an object");
+  if (target.labels !== undefined) checkLabels(target.labels, `${at}.labels`);
+  if (target.timeouts !== undefined) checkTimeouts(target.timeouts, `${at}.timeouts`);
+  if (target.all_databases !== undefined && typeof target.all_databases !== "boolean") invalid(`${at}.all_databases`, "must be true or false");
+  if (target.authentication !== undefined) {
+    checkAuthentication(target.authentication, `${at}.authentication`);
+    for (const key of ["user", "password", "password_file"]) {
+      if (target[key] !== undefined) invalid(`${at}.${key}`, "cannot be combined with authentication");
+    }
+  }
+  if (target.password_file !== undefined) {
+    if (target.password !== undefined) invalid(`${at}.password`, "cannot be combined with password_file");
+    checkFile(target.password_file, `${at}.password_file`);
+  }
+}
+
+/**
+ * Validates a parsed configuration file and turns it into the exporter configuration
+ *
+ * @param file {Object} parsed (and interpolated) configuration file
+ *
+ * @returns {Object} exporter configuration
+ */
+function fromFile(file) {
+  checkKeys(file, "", [
+    "listen",
+    "process_metrics",
+    "legacy_metric_names",
+    "long_running_threshold",
+    "query_text",
+    "max_series_per_metric",
+    "collectors",
+    "timeouts",
+    "performance_counters",
+    "ignored_wait_types",
+    "index_stats",
+    "custom_metrics",
+    "custom_metrics_files",
+    "targets",
+  ]);
+  if (file.listen !== undefined) {
+    checkKeys(file.listen, "listen", ["address", "port"]);
+    if (file.listen.address !== undefined) checkString(file.listen.address, "listen.address");
+    if (file.listen.port !== undefined) checkNumber(file.listen.port, "listen.port");
+  }
+  if (file.process_metrics !== undefined && typeof file.process_metrics !== "boolean") invalid("process_metrics", "must be true or false");
+  if (file.legacy_metric_names !== undefined && typeof file.legacy_metric_names !== "boolean") invalid("legacy_metric_names", "must be true or false");
+  if (file.long_running_threshold !== undefined) checkNumber(file.long_running_threshold, "long_running_threshold");
+  if (file.query_text !== undefined) checkQueryText(file.query_text, "query_text");
+  if (file.max_series_per_metric !== undefined) checkNumber(file.max_series_per_metric, "max_series_per_metric");
+  const collectors = file.collectors !== undefined ? checkCollectors(file.collectors, "collectors") : { include: null, exclude: [] };
+  if (file.timeouts !== undefined) checkTimeouts(file.timeouts, "timeouts");
+  if (file.performance_counters !== undefined) checkPerformanceCounters(file.performance_counters, "performance_counters");
+  if (file.ignored_wait_types !== undefined) checkStringList(file.ignored_wait_types, "ignored_wait_types");
+  const indexStats = file.index_stats !== undefined ? checkIndexStats(file.index_stats, "index_stats") : undefined;
+  if (file.custom_metrics !== undefined && !Array.isArray(file.custom_metrics)) invalid("custom_metrics", "must be a list");
+  if (file.custom_metrics_files !== undefined) checkStringList(file.custom_metrics_files, "custom_metrics_files");
+  if (!Array.isArray(file.targets) || file.targets.length === 0) invalid("targets", "must be a non-empty list");
+
+  const names = new Set();
+  const targets = file.targets.map((target, i) => {
+    const at = `targets[${i}]`;
+    validateTarget(target, at);
+    if (names.has(target.name)) invalid(`${at}.name`, `duplicates target name '${target.name}'`);
+    names.add(target.name);
+    const timeouts = Object.assign({}, file.timeouts, target.timeouts);
+    const queryTimeouts = scrapeTimeouts(file.timeouts, target.timeouts);
+    return {
+      name: target.name,
+      labels: target.labels || {},
+      collectors: target.collectors !== undefined ? mergeCollectors(collectors, checkCollectors(target.collectors, `${at}.collectors`)) : collectors,
+      timeouts: queryTimeouts,
+      allDatabases: target.all_databases === true,
+      connection: targetConnection(target, timeouts, queryTimeouts),
+    };
+  });
+
+  return {
+    listen: {
+      // all the IPv4 and IPv6 interfaces when undefined
+      address: file.listen && file.listen.address,
+      port: (file.listen && file.listen.port) || DEFAULT_PORT,
+    },
+    processMetrics: file.process_metrics === true,
+    legacyMetricNames: file.legacy_metric_names === true,
+    longRunningThreshold: file.long_running_threshold,
+    queryText: file.query_text,
+    maxSeriesPerMetric: file.max_series_per_metric || Infinity,
+    performanceCounters: file.performance_counters,
+    ignoredWaitTypes: file.ignored_wait_types,
+    indexStats,
+    customMetrics: [],
+    targets,
+  };
+}
+
+/**
+ * Reads a YAML or JSON file (by extension)
+ */
+function readFile(file) {
+  try {
+    const text = fs.readFileSync(file, "utf8");
+    return path.extname(file) === ".json" ? JSON.parse(text) : yaml.load(text);
+  } catch (error) {
+    throw new Error(`Unable to read configuration file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Custom metric definitions declared inline and in the custom_metrics_files (each holding a custom_metrics list),
+ * whose paths are relative to the configuration file
+ */
+function customMetricsOf(file, base, env) {
+  let definitions = file.custom_metrics || [];
+  for (const included of file.custom_metrics_files || []) {
+    const location = path.resolve(base, included);
+    appLog(`Loading custom metrics file ${location}`);
+    const parsed = readFile(location);
+    checkKeys(parsed, location, ["custom_metrics"]);
+    definitions = definitions.concat(interpolate(parsed.custom_metrics || [], env, `${location}:custom_metrics`));
+  }
+  validateCustomMetrics(definitions);
+  return definitions;
+}
+
+/**
+ * Label policy of the query texts from the QUERY_TEXT environment variable
+ */
+function queryTextOf(env) {
+  const mode = env["QUERY_TEXT"];
+  if (mode === undefined) {
+    return undefined;
+  }
+  if (!QUERY_TEXT_MODES.includes(mode)) {
+    throw new Error(`Invalid QUERY_TEXT '${mode}', must be one of ${QUERY_TEXT_MODES.join(", ")}`);
+  }
+  return { mode };
+}
+
+/**
+ * Builds the exporter configuration from the CONNECTION_STRINGS and EXPOSE environment variables
+ *
+ * @param env {Object} environment variables
+ *
+ * @returns {Object} exporter configuration
+ */
+function fromEnvironment(env) {
+  if (!env["CONNECTION_STRINGS"]) {
+    throw new Error("Missing CONNECTION_STRINGS information");
+  }
+  const collectors = { include: listOf(env["COLLECTORS_INCLUDE"]), exclude: listOf(env["COLLECTORS_EXCLUDE"]) || [] };
+  const connections = env["CONNECTION_STRINGS"].split("|").map((connectString) => {
+    appLog(`Parsing connection string: ${redact(connectString)}`);
+    const connection = finalizeConnection(sql.ConnectionPool.parseConnectionString(connectString));
+    addSecret(connection.password);
+    if (env["PASSWORD_FILE"]) {
+      checkFile(env["PASSWORD_FILE"], "PASSWORD_FILE");
+      delete connection.password;
+      connection.passwordFile = env["PASSWORD_FILE"];
+    }
+    return connection;
+  });
+  const names = targetNames(connections);
+  const targets = connections.map((connection, i) => {
+    const name = names[i];
+    if (names.indexOf(name) !== i) {
+      throw new Error(`Duplicate target '${name}' in CONNECTION_STRINGS`);
+    }
+    const timeouts = scrapeTimeouts();
+    connection.requestTimeout = timeouts.query;
+    return { name, labels: {}, collectors, timeouts, allDatabases: env["ALL_DATABASES"] === "true", connection };
+  });
+  return {
+    listen: {
+      address: undefined,
+      port: parseInt(env["EXPOSE"]) || DEFAULT_PORT,
+    },
+    processMetrics: env["PROCESS_METRICS"] === "true",
+    legacyMetricNames: env["LEGACY_METRIC_NAMES"] === "true",
+    longRunningThreshold: parseFloat(env["LONG_RUNNING_THRESHOLD"]) || undefined,
+    queryText: queryTextOf(env),
+    maxSeriesPerMetric: parseInt(env["MAX_SERIES_PER_METRIC"]) || Infinity,
+    customMetrics: [],
+    targets,
+  };
+}
+
+/**
+ * Value of a command line flag given as --flag value or --flag=value, otherwise of its environment variable
+ */
+function flagValue(argv, env, flag, variable) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === flag) return argv[i + 1];
+    if (argv[i].startsWith(`${flag}=`)) return argv[i].substring(flag.length + 1);
+  }
+  return env[variable];
+}
+
+/**
+ * Loads the exporter configuration
+ *
+ * @param argv {Array<string>} command line arguments
+ * @param env {Object} environment variables
+ *
+ * @returns {Object} {listen: {address, port}, webConfigFile, processMetrics, legacyMetricNames, longRunningThreshold, queryText, maxSeriesPerMetric, performanceCounters: [patterns] and ignoredWaitTypes: [patterns], indexStats (undefined for the defaults), customMetrics: [definitions], targets: [{name, labels, collectors, timeouts, allDatabases, connection}]}
+ */
+function loadConfig(argv = process.argv.slice(2), env = process.env) {
+  const file = flagValue(argv, env, "--config", "CONFIG_FILE");
+  const webConfigFile = flagValue(argv, env, "--web.config.file", "WEB_CONFIG_FILE");
+  if (!file) {
+    return Object.assign(fromEnvironment(env), { webConfigFile });
+  }
+  appLog(`Loading configuration file ${file}`);
+  const parsed = interpolate(readFile(file), env, "");
+  const config = fromFile(parsed);
+  config.customMetrics = customMetricsOf(parsed, path.dirname(file), env);
+  config.webConfigFile = webConfigFile;
+  if (env["EXPOSE"] && !(parsed.listen && parsed.listen.port)) {
+    config.listen.port = parseInt(env["EXPOSE"]) || config.listen.port;
+  }
+  return config;
+}
+
+module.exports = {
+  loadConfig,
+};
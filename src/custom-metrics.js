@@ -0,0 +1,131 @@
+/**
+ * User-defined collectors: prom-client metrics and their collect functions generated from SQL queries described
+ * in the configuration (custom_metrics)
+ */
+const metricsLog = require("debug")("metrics");
+const client = require("prom-client");
+const { setCounter } = require("./utils");
+
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+const TYPES = ["gauge", "counter"];
+
+/**
+ * Validates the custom metric definitions, throwing an error naming the offending query
+ *
+ * @param definitions {Array<Object>} [{name, query, metrics: [{name, help, type, labels, value}]}]
+ */
+function validateCustomMetrics(definitions) {
+  if (!Array.isArray(definitions)) {
+    throw new Error("Invalid custom metrics: must be a list of queries");
+  }
+  const queries = new Set();
+  const metricNames = new Set();
+  definitions.forEach((definition, i) => {
+    const queryName = definition && typeof definition.name === "string" ? definition.name : `#${i}`;
+    const invalid = (message) => {
+      throw new Error(`Invalid custom metric query '${queryName}': ${message}`);
+    };
+    if (definition === null || typeof definition !== "object" || Array.isArray(definition)) invalid("must be an object");
+    for (const key of Object.keys(definition)) {
+      if (!["name", "query", "metrics"].includes(key)) invalid(`${key} is not a known setting`);
+    }
+    if (typeof definition.name !== "string" || !LABEL_NAME_PATTERN.test(definition.name)) invalid("name must be a valid identifier");
+    if (queries.has(definition.name)) invalid("name is already used by another query");
+    queries.add(definition.name);
+    if (typeof definition.query !== "string" || definition.query.trim().length === 0) invalid("query must be a non-empty string");
+    if (!Array.isArray(definition.metrics) || definition.metrics.length === 0) invalid("metrics must be a non-empty list");
+
+    definition.metrics.forEach((metric, j) => {
+      const at = `metrics[${j}]`;
+      if (metric === null || typeof metric !== "object" || Array.isArray(metric)) invalid(`${at} must be an object`);
+      for (const key of Object.keys(metric)) {
+        if (!["name", "help", "type", "labels", "value"].includes(key)) invalid(`${at}.${key} is not a known setting`);
+      }
+      if (typeof metric.name !== "string" || !METRIC_NAME_PATTERN.test(metric.name)) invalid(`${at}.name must be a valid metric name`);
+      if (metricNames.has(metric.name)) invalid(`${at}.name '${metric.name}' is already defined`);
+      metricNames.add(metric.name);
+      if (typeof metric.help !== "string" || metric.help.length === 0) invalid(`${at}.help must be a non-empty string`);
+      if (metric.type !== undefined && !TYPES.includes(metric.type)) invalid(`${at}.type must be one of ${TYPES.join(", ")}`);
+      if (metric.labels !== undefined) {
+        if (!Array.isArray(metric.labels)) invalid(`${at}.labels must be a list of columns`);
+        metric.labels.forEach((label) => {
+          if (typeof label !== "string" || !LABEL_NAME_PATTERN.test(label) || ["host", "target"].includes(label))
+            invalid(`${at}.labels '${label}' is not a valid label column`);
+        });
+      }
+      if (typeof metric.value !== "string" || metric.value.length === 0) invalid(`${at}.value must be a column name`);
+    });
+  });
+}
+
+/**
+ * Index of a column of the result by name (case insensitive)
+ */
+function columnIndex(rows, column) {
+  const index = (rows.columns || []).findIndex((c) => c.name.toLowerCase() === column.toLowerCase());
+  if (index < 0) {
+    throw new Error(`Column '${column}' not returned by query`);
+  }
+  return index;
+}
+
+/**
+ * Creates the collectors of the custom metric definitions with their metrics registered in the given registry
+ *
+ * @param definitions {Array<Object>} validated definitions
+ * @param registry {client.Registry} registry receiving the metrics
+ *
+ * @returns {Object} collectors by name: {metrics, query, collect: function(rows, metrics, host)}
+ */
+function getCustomMetrics(definitions, registry = client.register) {
+  const registers = [registry];
+  const entries = {};
+  for (const definition of definitions) {
+    const metrics = {};
+    for (const metric of definition.metrics) {
+      const Type = metric.type === "counter" ? client.Counter : client.Gauge;
+      try {
+        metrics[metric.name] = new Type({
+          name: metric.name,
+          help: metric.help,
+          labelNames: ["host", ...(metric.labels || [])],
+          registers,
+        });
+      } catch (error) {
+        throw new Error(`Invalid custom metric query '${definition.name}': ${error.message}`);
+      }
+    }
+    entries[definition.name] = {
+      metrics,
+      query: definition.query,
+      collect: (rows, metrics, host) => {
+        for (const metric of definition.metrics) {
+          const labelIndexes = (metric.labels || []).map((label) => [label, columnIndex(rows, label)]);
+          const valueIndex = columnIndex(rows, metric.value);
+          for (const row of rows) {
+            const labels = { host };
+            labelIndexes.forEach(([label, index]) => (labels[label] = row[index] === null ? "" : String(row[index])));
+            const value = Number(row[valueIndex]);
+            if (row[valueIndex] === null || isNaN(value)) {
+              metricsLog("Skipping non numeric value of custom metric", metric.name, labels, row[valueIndex]);
+              continue;
+            }
+            metricsLog("Fetched custom metric", metric.name, labels, value);
+            if (metric.type === "counter") {
+              setCounter(metrics[metric.name], labels, value);
+            } else {
+              metrics[metric.name].set(labels, value);
+            }
+          }
+        }
+      },
+    };
+  }
+  return entries;
+}
+
+module.exports = {
+  validateCustomMetrics,
+  getCustomMetrics,
+};
@@ -0,0 +1,69 @@
+/**
+ * Metrics about the exporter itself, registered per target next to the collector metrics
+ */
+const client = require("prom-client");
+
+/**
+ * Creates the exporter metrics of a target
+ *
+ * @param registry {client.Registry} registry receiving the metrics (defaults to the global one)
+ *
+ * @returns {Object} metrics by name
+ */
+function getExporterMetrics(registry = client.register) {
+  const registers = [registry];
+  return {
+    mssql_exporter_collector_duration_seconds: new client.Gauge({
+      name: "mssql_exporter_collector_duration_seconds",
+      help: "Duration of the collector query and processing during the last scrape",
+      labelNames: ["host", "collector"],
+      registers,
+    }),
+    mssql_exporter_collector_success: new client.Gauge({
+      name: "mssql_exporter_collector_success",
+      help: "Whether the collector succeeded during the last scrape (1) or not (0)",
+      labelNames: ["host", "collector"],
+      registers,
+    }),
+    mssql_exporter_collector_rows: new client.Gauge({
+      name: "mssql_exporter_collector_rows",
+      help: "Number of rows returned by the collector query during the last scrape",
+      labelNames: ["host", "collector"],
+      registers,
+    }),
+    mssql_exporter_collector_timeout: new client.Gauge({
+      name: "mssql_exporter_collector_timeout",
+      help: "Whether the collector query was cancelled by its timeout or the scrape deadline during the last scrape (1) or not (0)",
+      labelNames: ["host", "collector"],
+      registers,
+    }),
+    mssql_exporter_scrapes_total: new client.Counter({
+      name: "mssql_exporter_scrapes_total",
+      help: "Total number of scrapes of the target",
+      labelNames: ["host"],
+      registers,
+    }),
+    mssql_exporter_scrape_duration_seconds: new client.Gauge({
+      name: "mssql_exporter_scrape_duration_seconds",
+      help: "Duration of the last scrape of the target",
+      labelNames: ["host"],
+      registers,
+    }),
+    mssql_exporter_errors_total: new client.Counter({
+      name: "mssql_exporter_errors_total",
+      help: "Total number of scrape errors by collector and reason (connect, query, parse, empty, timeout, detection)",
+      labelNames: ["host", "collector", "reason"],
+      registers,
+    }),
+    mssql_exporter_dropped_series_total: new client.Counter({
+      name: "mssql_exporter_dropped_series_total",
+      help: "Total number of series dropped by metric because of the maximum number of series per metric",
+      labelNames: ["host", "metric"],
+      registers,
+    }),
+  };
+}
+
+module.exports = {
+  getExporterMetrics,
+};
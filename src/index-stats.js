@@ -0,0 +1,125 @@
+/**
+ * Index health collectors (index_stats): fragmentation of the indexes and missing index suggestions. Their queries
+ * are expensive, so they only run once per interval in the background, with their own timeout, and the scrapes replay
+ * the rows of their last success.
+ */
+const metricsLog = require("debug")("metrics");
+const client = require("prom-client");
+const { forEachDatabase } = require("./utils");
+
+const DEFAULT_INDEX_STATS = {
+  interval: 3600 * 1000,
+  timeout: 600 * 1000,
+  minPageCount: 1000,
+  databases: null,
+};
+// number of missing index suggestions exposed
+const MISSING_INDEXES = 20;
+
+/**
+ * SQL string literal
+ */
+function literal(value) {
+  return `N'${value.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Creates the index health collectors with their metrics registered in the given registry
+ *
+ * @param options {Object} {interval: between two runs of the queries in ms, timeout: of the queries in ms,
+ * minPageCount: of the indexes whose fragmentation is exposed, databases: names of the only databases inspected (null
+ * for all)}
+ * @param registry {client.Registry} registry receiving the metrics
+ *
+ * @returns {Object} collectors by name: {metrics, query, collect: function(rows, metrics, host), allowEmpty, interval,
+ * timeout, perDatabase}
+ */
+function getIndexStats(options = DEFAULT_INDEX_STATS, registry = client.register) {
+  const registers = [registry];
+  const interval = options.interval !== undefined ? options.interval : DEFAULT_INDEX_STATS.interval;
+  const timeout = options.timeout !== undefined ? options.timeout : DEFAULT_INDEX_STATS.timeout;
+  const minPageCount = options.minPageCount !== undefined ? options.minPageCount : DEFAULT_INDEX_STATS.minPageCount;
+  const databases = options.databases || DEFAULT_INDEX_STATS.databases;
+  const databaseList = databases && databases.map(literal).join(", ");
+
+  return {
+    mssql_index_fragmentation: {
+      metrics: {
+        mssql_index_fragmentation_percent: new client.Gauge({
+          name: "mssql_index_fragmentation_percent",
+          help: "Logical fragmentation of the index (LIMITED mode of sys.dm_db_index_physical_stats), averaged on its partitions",
+          labelNames: ["host", "database", "table", "index"],
+          registers,
+        }),
+        mssql_index_pages: new client.Gauge({
+          name: "mssql_index_pages",
+          help: "Number of index or data pages of the index",
+          labelNames: ["host", "database", "table", "index"],
+          registers,
+        }),
+      },
+      // no rows when no index has the minimum page count
+      allowEmpty: true,
+      interval,
+      timeout,
+      perDatabase: true,
+      query: forEachDatabase(
+        `SELECT DB_NAME(), OBJECT_SCHEMA_NAME(s.object_id) + '.' + OBJECT_NAME(s.object_id), i.name,
+                SUM(s.avg_fragmentation_in_percent * s.page_count) / SUM(s.page_count), SUM(s.page_count)
+         FROM sys.dm_db_index_physical_stats(DB_ID(), NULL, NULL, NULL, 'LIMITED') s
+                  INNER JOIN sys.indexes i ON i.object_id = s.object_id AND i.index_id = s.index_id
+         WHERE s.index_id > 0
+           AND s.alloc_unit_type_desc = 'IN_ROW_DATA'
+           AND OBJECTPROPERTY(s.object_id, 'IsMsShipped') = 0
+         GROUP BY s.object_id, i.name
+         HAVING SUM(s.page_count) >= ${Number(minPageCount)}`,
+        "database_name sysname, table_name nvarchar(300), index_name sysname, fragmentation float, pages bigint",
+        databaseList ? `name IN (${databaseList})` : "database_id > 4"
+      ),
+      collect: (rows, metrics, host) => {
+        for (const row of rows) {
+          const labels = { host, database: row[0], table: row[1], index: row[2] };
+          metricsLog("Fetched index fragmentation", labels, row[3], "pages", row[4]);
+          metrics.mssql_index_fragmentation_percent.set(labels, row[3]);
+          metrics.mssql_index_pages.set(labels, +row[4]);
+        }
+      },
+    },
+    mssql_missing_indexes: {
+      metrics: {
+        mssql_missing_index_improvement_measure: new client.Gauge({
+          name: "mssql_missing_index_improvement_measure",
+          help: `Improvement measure (product of the average cost, the average impact and the seeks and scans) of the ${MISSING_INDEXES} best missing index suggestions since last restart`,
+          labelNames: ["host", "database", "table", "equality_columns", "inequality_columns", "included_columns"],
+          registers,
+        }),
+      },
+      // no rows without missing index suggestions
+      allowEmpty: true,
+      interval,
+      timeout,
+      query: `SELECT TOP ${MISSING_INDEXES} DB_NAME(d.database_id),
+                     d.statement,
+                     ISNULL(d.equality_columns, ''),
+                     ISNULL(d.inequality_columns, ''),
+                     ISNULL(d.included_columns, ''),
+                     s.avg_total_user_cost * s.avg_user_impact * (s.user_seeks + s.user_scans)
+              FROM sys.dm_db_missing_index_groups g
+                       INNER JOIN sys.dm_db_missing_index_group_stats s ON s.group_handle = g.index_group_handle
+                       INNER JOIN sys.dm_db_missing_index_details d ON d.index_handle = g.index_handle
+              ${databaseList ? `WHERE DB_NAME(d.database_id) IN (${databaseList})` : ""}
+              ORDER BY 6 DESC`,
+      collect: (rows, metrics, host) => {
+        for (const row of rows) {
+          const labels = { host, database: row[0], table: row[1], equality_columns: row[2], inequality_columns: row[3], included_columns: row[4] };
+          metricsLog("Fetched missing index", labels, row[5]);
+          metrics.mssql_missing_index_improvement_measure.set(labels, row[5]);
+        }
+      },
+    },
+  };
+}
+
+module.exports = {
+  getIndexStats,
+};
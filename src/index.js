@@ -1,125 +1,257 @@
 const appLog = require("debug")("app");
-const dbLog = require("debug")("db");
-const queriesLog = require("debug")("queries");
 
-const sql = require("mssql");
 const app = require("express")();
 const client = require("prom-client");
 
 const { getMetrics } = require("./metrics");
+const { getPerformanceCounters } = require("./performance-counters");
+const { getWaitStats } = require("./wait-stats");
+const { getIndexStats } = require("./index-stats");
+const { getAzureMetrics } = require("./azure");
+const { getCustomMetrics } = require("./custom-metrics");
+const { selectCollectors, metricNames } = require("./collectors");
+const { getExporterMetrics } = require("./exporter-metrics");
+const { scrapeDeadline, scrape, startRefresh } = require("./scraper");
+const { createPool, createDatabasePools } = require("./pool");
+const { mergeMetrics } = require("./utils");
+const { redact } = require("./secrets");
+const { loadConfig } = require("./config");
+const { loadWebConfig, createServer, webAuthentication } = require("./web-config");
 
-if (!process.env["CONNECTION_STRINGS"]) {
-  throw new Error("Missing CONNECTION_STRINGS information");
-}
+const config = loadConfig();
+const webConfig = loadWebConfig(config.webConfigFile);
 
-let config = {
-  connectStrings: process.env["CONNECTION_STRINGS"].split("|").map(connectString => {
-    appLog(`Parsing connection string: ${connectString}`);
-    const config = sql.ConnectionPool.parseConnectionString(connectString);
-    config.arrayRowMode = true;
-    // config.trustServerCertificate = true;
-    config.options.arrayRowMode = true;
-    config.options.rowCollectionOnRequestCompletion = true;
-    return config;
-  }),
-  port: parseInt(process.env["EXPOSE"]) || 4000
-};
+if (config.processMetrics) {
+  // Node.js process metrics of the exporter itself, exposed on /metrics only
+  client.collectDefaultMetrics();
+}
 
 /**
- * Connects to a database server.
+ * Built-in and custom collectors of a target, registered in the target registry
  *
- * @param connectionConfig {Object} connection config
+ * @param registry {client.Registry} registry of the target
+ * @param queryTexts {Map} receives the query texts of the Query Store collectors
  *
- * @returns Promise<sql.ConnectionPool>
+ * @returns {Object} all collectors by name
  */
-async function connect(connectionConfig) {
-  dbLog("Connecting");
-  const pool = new sql.ConnectionPool(connectionConfig);
-  await pool.connect();
-  return pool;
+function allEntries(registry, queryTexts) {
+  const entries = getMetrics(registry, {
+    legacyNames: config.legacyMetricNames,
+    longRunningThreshold: config.longRunningThreshold,
+    queryText: config.queryText,
+    queryTexts,
+  });
+  Object.assign(
+    entries,
+    getPerformanceCounters(config.performanceCounters, registry),
+    getWaitStats(config.ignoredWaitTypes, registry),
+    // expensive, only with an index_stats section in the configuration file
+    config.indexStats ? getIndexStats(config.indexStats, registry) : {},
+    getAzureMetrics(registry)
+  );
+  const custom = getCustomMetrics(config.customMetrics, registry);
+  for (const name of Object.keys(custom)) {
+    if (entries[name]) {
+      throw new Error(`Invalid custom metric query '${name}': name is already used by a built-in collector`);
+    }
+  }
+  return Object.assign(entries, custom);
 }
 
 /**
- * Recursive function that executes all collectors sequentially
+ * Pools of the queries refreshed in the background (see startRefresh()), apart from the pools of the scrapes so that
+ * only these queries get their longer driver timeout
  *
- * @param connection {sql.ConnectionPool} database connection
- * @param collector {Object} single metric: {query: string, collect: function(rows, metric)}
- * @param name {string} name of collector variable
+ * @param connection {Object} connection config of the target
+ * @param entries {Object} collectors of the target
+ * @param allDatabases {boolean} whether the target also connects to each database of its server
  *
- * @returns Promise of collect operation (no value returned)
+ * @returns {{pool, databasePools}|null} pools, null when no collector of the target is refreshed in the background
+ */
+function refreshPools(connection, entries, allDatabases) {
+  const timeouts = Object.values(entries)
+    .filter((entry) => entry.interval)
+    .map((entry) => entry.timeout || 0);
+  if (timeouts.length === 0) {
+    return null;
+  }
+  const refreshConnection = Object.assign({}, connection, { requestTimeout: Math.max(connection.requestTimeout, ...timeouts) });
+  return { pool: createPool(refreshConnection), databasePools: allDatabases ? createDatabasePools(refreshConnection) : null };
+}
+
+/**
+ * Names of all the known collectors, whether enabled or not
+ */
+const collectorNames = new Set();
+
+/**
+ * Each target owns its pool and its own registry so that it can be scraped and rendered on its own.
+ * The metrics of the collectors not selected for the target are unregistered.
  */
-async function measure(connection, collector, name) {
-  return new Promise(async (resolve) => {
-    queriesLog(`Executing metric '${name}' query: ${collector.query}`);
-    await connection.request().query(collector.query).then(result => {
-      if (result.recordset.length > 0) {
-        try {
-          collector.collect(result.recordset, collector.metrics, connection.config.server);
-        } catch (error) {
-          console.error(`Error processing metric '${name}' data`, collector.query, JSON.stringify(result.recordset), error);
-        }
-        resolve();
-      } else {
-        console.error(`No results executing metric '${name}' SQL query`, collector.query);
-        resolve();
-      }
-    }).catch(error => {
-      console.error(`Error executing metric '${name}' SQL query`, collector.query, error);
-      resolve();
-    });
+const targets = config.targets.map(({ name, labels, collectors, timeouts, allDatabases, connection }) => {
+  const registry = new client.Registry();
+  const queryTexts = new Map();
+  const all = allEntries(registry, queryTexts);
+  Object.keys(all).forEach((collector) => collectorNames.add(collector));
+  Object.keys(timeouts.collectors).forEach((collector) => {
+    if (!all[collector]) {
+      throw new Error(`Unknown collector '${collector}' in timeouts of target '${name}'`);
+    }
   });
+  const entries = selectCollectors(all, collectors, `collectors of target '${name}'`);
+  const selected = metricNames(entries);
+  metricNames(all).forEach((metric) => selected.has(metric) || registry.removeSingleMetric(metric));
+  return {
+    name,
+    labels,
+    host: connection.server,
+    timeouts,
+    maxSeries: config.maxSeriesPerMetric,
+    queryTexts,
+    pool: createPool(connection),
+    // pools of the other databases of an Azure SQL Database logical server
+    databasePools: allDatabases ? createDatabasePools(connection) : null,
+    refreshPools: refreshPools(connection, entries, allDatabases),
+    registry,
+    entries,
+    exporterMetrics: getExporterMetrics(registry),
+  };
+});
+const targetsByName = new Map(targets.map((target) => [target.name, target]));
+
+/**
+ * Collectors requested with collect[] query parameters (as node_exporter does), null when the parameter is absent.
+ * Unknown collectors are rejected with a 400 response.
+ *
+ * @returns {Array<string>|null|undefined} requested collector names, undefined when the request was rejected
+ */
+function requestedCollectors(req, res) {
+  if (req.query.collect === undefined) {
+    return null;
+  }
+  const requested = [].concat(req.query.collect);
+  const unknown = requested.filter((name) => !collectorNames.has(name));
+  if (unknown.length > 0) {
+    res.status(400).send(`Unknown collector(s) ${unknown.join(", ")}`);
+    return undefined;
+  }
+  return requested;
 }
 
 /**
- * Function that collects from an active server.
+ * Collectors of a target to run for a request
  *
- * @param connection database connection
- * @param entries array of metrics
+ * @param target {Object} target
+ * @param requested {Array<string>|null} collectors requested by the scrape (null for all)
  *
- * @returns Promise of execution (no value returned)
+ * @returns {Object} collectors by name
  */
-async function collect(connection, entries) {
-  const tasks = []
-  for (const [metricName, metric] of Object.entries(entries)) {
-    tasks.push(measure(connection, metric, metricName));
+function scrapedEntries(target, requested) {
+  if (!requested) {
+    return target.entries;
   }
-  await Promise.all(tasks);
+  return selectCollectors(target.entries, { include: requested.filter((name) => target.entries[name]), exclude: [] }, "collect[]");
 }
 
+/**
+ * What to render of a scraped target: the exporter metrics and only the metrics of the collectors that ran. Every
+ * series is labelled with the target name, so that the targets sharing a host (other port or database) stay distinct.
+ *
+ * @param target {Object} scraped target
+ * @param entries {Object} collectors that ran
+ * @param snapshot {Object} snapshot of the target registry returned by scrape()
+ */
+function rendered(target, entries, snapshot) {
+  const names = metricNames(entries);
+  Object.values(target.exporterMetrics).forEach((metric) => names.add(metric.name));
+  return { registry: snapshot, labels: Object.assign({ target: target.name }, target.labels), metricNames: names };
+}
+
+/**
+ * Scrape timeout announced by Prometheus, used to return partial results before Prometheus gives up
+ */
+function scrapeTimeoutHeader(req) {
+  return req.get("X-Prometheus-Scrape-Timeout-Seconds");
+}
+
+app.use(webAuthentication(webConfig));
+
 app.get("/", (req, res) => {
   res.redirect("/metrics");
 });
 
-const entries = getMetrics();
-
-
 app.get("/metrics", async (req, res) => {
-  res.contentType(client.register.contentType);
   appLog("Received /metrics request");
-  const tasks = []
-  for (const connectionString of config.connectStrings) {
-    try {
-      let connection = await connect(connectionString);
-      tasks.push(collect(connection, entries).finally(async () =>  await connection.close()))
-    } catch (error) {
-      // error connecting
-      appLog(`Error handling /metrics request for server '${connectionString.server}'`, error);
-      const mssqlUp = entries.mssql_up.metrics.mssql_up;
-      mssqlUp.set({ host: connectionString.server }, 0);
-    }
+  const requested = requestedCollectors(req, res);
+  if (requested === undefined) {
+    return;
   }
-  await Promise.all(tasks);
+  const scraped = await Promise.all(
+    targets.map(async (target) => {
+      const entries = scrapedEntries(target, requested);
+      const snapshot = await scrape(target, entries, scrapeDeadline(target.timeouts, scrapeTimeoutHeader(req)));
+      return rendered(target, entries, snapshot);
+    })
+  );
   appLog("Successfully processed /metrics request");
-  res.send(client.register.metrics());
+  res.contentType(client.register.contentType);
+  res.send(mergeMetrics([{ registry: client.register }, ...scraped]));
 });
 
-const server = app.listen(config.port, function() {
-  appLog(
-    `Prometheus-MSSQL Exporter listening`
-  );
+app.get("/probe", async (req, res) => {
+  const name = req.query.target;
+  if (!name) {
+    return res.status(400).send("Missing 'target' parameter");
+  }
+  const target = targetsByName.get(name);
+  if (!target) {
+    return res.status(404).send(`Unknown target '${name}'`);
+  }
+  appLog(`Received /probe request for target '${name}'`);
+  const requested = requestedCollectors(req, res);
+  if (requested === undefined) {
+    return;
+  }
+  const entries = scrapedEntries(target, requested);
+  const snapshot = await scrape(target, entries, scrapeDeadline(target.timeouts, scrapeTimeoutHeader(req)));
+  appLog(`Successfully processed /probe request for target '${name}'`);
+  res.contentType(client.register.contentType);
+  res.send(mergeMetrics([rendered(target, entries, snapshot)]));
 });
 
-process.on("SIGINT", function() {
+app.get("/query-texts", (req, res) => {
+  const name = req.query.target;
+  if (name && !targetsByName.has(name)) {
+    return res.status(404).send(`Unknown target '${name}'`);
+  }
+  const texts = [];
+  for (const target of name ? [targetsByName.get(name)] : targets) {
+    target.queryTexts.forEach((text) => texts.push(Object.assign({ target: target.name }, text)));
+  }
+  res.json(texts);
+});
+
+const server = createServer(app, webConfig).listen(config.listen.port, config.listen.address, function () {
+  appLog(`Prometheus-MSSQL Exporter listening on ${webConfig.tls ? "https" : "http"}://${config.listen.address || "*"}:${config.listen.port}`);
+  // open pools eagerly so the first scrape does not pay the login cost
+  for (const target of targets) {
+    appLog(`Serving target '${target.name}'`);
+    target.pool.acquire().catch((error) => appLog(`Initial connection to target '${target.name}' failed`, redact(error.message)));
+    target.stopRefresh = startRefresh(target);
+  }
+});
+
+/**
+ * Stops accepting requests and closes all database pools before exiting
+ */
+async function shutdown(signal) {
+  appLog(`Received ${signal}, shutting down`);
   server.close();
+  targets.forEach((target) => target.stopRefresh && target.stopRefresh());
+  const pools = (target) => [target.pool.close(), target.databasePools && target.databasePools.close()];
+  await Promise.all(targets.map((target) => Promise.all(pools(target).concat(target.refreshPools ? pools(target.refreshPools) : []))));
   process.exit(0);
-});
+}
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
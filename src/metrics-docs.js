@@ -1,4 +1,10 @@
-const { entries } = require("./metrics");
+const { getMetrics } = require("./metrics");
+const { getPerformanceCounters } = require("./performance-counters");
+const { getWaitStats } = require("./wait-stats");
+const { getIndexStats } = require("./index-stats");
+const { getAzureMetrics } = require("./azure");
+
+const entries = Object.assign(getMetrics(), getPerformanceCounters(), getWaitStats(), getIndexStats(), getAzureMetrics());
 
 // DOCUMENTATION of queries and their associated metrics (targeted to DBAs)
 Object.entries(entries).forEach(([entryName, entry]) => {
@@ -13,9 +19,12 @@ Object.entries(entries).forEach(([entryName, entry]) => {
 });
 
 console.log("/*");
+// metrics shared by the collectors of different editions are only listed once
+const listed = new Set();
 Object.values(entries).forEach((entry) => {
   for (let key in entry.metrics) {
-    if (entry.metrics.hasOwnProperty(key)) {
+    if (entry.metrics.hasOwnProperty(key) && !listed.has(entry.metrics[key].name)) {
+      listed.add(entry.metrics[key].name);
       console.log(
         "-",
         entry.metrics[key].name + (entry.metrics[key].labelNames.length > 0 ? "{" + entry.metrics[key].labelNames + "}" : ""),
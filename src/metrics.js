@@ -4,24 +4,50 @@
  */
 const metricsLog = require("debug")("metrics");
 const client = require("prom-client");
-const { productVersionParse } = require("./utils");
+const { productVersionParse, setValue, forEachDatabase } = require("./utils");
+const { createQueryTextPolicy } = require("./query-text");
+const { INSTANCE_EDITIONS, AGENT_EDITIONS } = require("./server-info");
 
-function getMetrics() {
+const DEFAULT_LONG_RUNNING_THRESHOLD = 60;
+
+/**
+ * Creates a fresh set of collectors whose metrics are registered in the given registry
+ *
+ * @param registry {client.Registry} registry receiving the metrics (defaults to the global one)
+ * @param options {Object} {legacyNames: expose cumulative values as gauges under their pre _total names,
+ * longRunningThreshold: age in seconds from which a request is long running, queryText: label policy of the query
+ * texts, queryTexts: Map receiving the query texts}
+ *
+ * @returns {Object} collectors by name: {metrics, query, collect: function(rows, metrics, host), allowEmpty: whether no
+ * rows is a normal result, supports: versions and editions running the query (see unsupportedReason in server-info.js),
+ * perDatabase: whether the query only reads the database of the connection on Azure SQL Database}
+ */
+function getMetrics(registry = client.register, { legacyNames = false, longRunningThreshold = DEFAULT_LONG_RUNNING_THRESHOLD, queryText, queryTexts } = {}) {
+  const registers = [registry];
+  const queryTextPolicy = createQueryTextPolicy(queryText, queryTexts);
+
+  /**
+   * Metric of a value accumulated since the last restart: a counter or, with legacyNames, a gauge with the legacy name
+   * and help
+   */
+  const cumulative = (options, legacy) =>
+    legacyNames ? new client.Gauge(Object.assign({}, options, legacy, { registers })) : new client.Counter(Object.assign({}, options, { registers }));
 
   const mssql_up = {
     metrics: {
       mssql_up: new client.Gauge({
         name: "mssql_up",
         help: "UP Status",
-        labelNames: ["host"]
-      })
+        labelNames: ["host"],
+        registers,
+      }),
     },
     query: "SELECT 1",
     collect: (rows, metrics, host) => {
       let mssql_up = rows[0][0];
       metricsLog("Fetched status of instance", host, mssql_up);
       metrics.mssql_up.set({ host }, mssql_up);
-    }
+    },
   };
 
   const mssql_product_version = {
@@ -29,8 +55,9 @@ function getMetrics() {
       mssql_product_version: new client.Gauge({
         name: "mssql_product_version",
         help: "Instance version (Major.Minor)",
-        labelNames: ["host"]
-      })
+        labelNames: ["host"],
+        registers,
+      }),
     },
     query: `SELECT CONVERT(VARCHAR(128), SERVERPROPERTY ('productversion')) AS ProductVersion,
           SERVERPROPERTY('ProductVersion') AS ProductVersion
@@ -40,7 +67,7 @@ function getMetrics() {
       const mssql_product_version = v.major + "." + v.minor;
       metricsLog("Fetched version of instance", host, mssql_product_version);
       metrics.mssql_product_version.set({ host }, mssql_product_version);
-    }
+    },
   };
 
   const mssql_instance_local_time = {
@@ -48,15 +75,16 @@ function getMetrics() {
       mssql_instance_local_time: new client.Gauge({
         name: "mssql_instance_local_time",
         help: "Number of seconds since epoch on local instance",
-        labelNames: ["host"]
-      })
+        labelNames: ["host"],
+        registers,
+      }),
     },
     query: `SELECT DATEDIFF(second, '19700101', GETUTCDATE())`,
     collect: (rows, metrics, host) => {
       const mssql_instance_local_time = rows[0][0];
       metricsLog("Fetched current time", mssql_instance_local_time);
       metrics.mssql_instance_local_time.set({ host }, mssql_instance_local_time);
-    }
+    },
   };
 
   const mssql_connections = {
@@ -64,9 +92,11 @@ function getMetrics() {
       mssql_connections: new client.Gauge({
         name: "mssql_connections",
         help: "Number of active connections",
-        labelNames: ["host", "database", "state"]
-      })
+        labelNames: ["host", "database", "state"],
+        registers,
+      }),
     },
+    supports: { editions: INSTANCE_EDITIONS },
     query: `SELECT DB_NAME(sP.dbid)
                  , COUNT(sP.spid)
             FROM sys.sysprocesses sP
@@ -79,7 +109,7 @@ function getMetrics() {
         metricsLog("Fetched number of connections for database", database, mssql_connections);
         metrics.mssql_connections.set({ host, database, state: "current" }, mssql_connections);
       }
-    }
+    },
   };
 
   const mssql_client_connections = {
@@ -87,9 +117,11 @@ function getMetrics() {
       mssql_client_connections: new client.Gauge({
         name: "mssql_client_connections",
         help: "Number of active client connections",
-        labelNames: ["host", "client", "database"]
-      })
+        labelNames: ["host", "client", "database"],
+        registers,
+      }),
     },
+    supports: { editions: INSTANCE_EDITIONS },
     query: `SELECT host_name, DB_NAME(dbid) dbname, COUNT(*) session_count
             FROM sys.dm_exec_sessions a
                      LEFT JOIN sysprocesses b on a.session_id = b.spid
@@ -104,16 +136,41 @@ function getMetrics() {
         metricsLog("Fetched number of connections for client", host, client, database, mssql_client_connections);
         metrics.mssql_client_connections.set({ host, client, database }, mssql_client_connections);
       }
-    }
+    },
+  };
+
+  /**
+   * Azure SQL Database has no sys.sysprocesses: the connections are counted from the sessions instead
+   */
+  const mssql_azure_connections = {
+    metrics: mssql_connections.metrics,
+    supports: { editions: ["azure_sql_database"] },
+    query: `SELECT DB_NAME(database_id), COUNT(*)
+            FROM sys.dm_exec_sessions
+            GROUP BY database_id`,
+    collect: mssql_connections.collect,
+  };
+
+  const mssql_azure_client_connections = {
+    metrics: mssql_client_connections.metrics,
+    supports: { editions: ["azure_sql_database"] },
+    query: `SELECT host_name, DB_NAME(database_id), COUNT(*)
+            FROM sys.dm_exec_sessions
+            WHERE is_user_process = 1
+            GROUP BY host_name, database_id`,
+    collect: mssql_client_connections.collect,
   };
 
   const mssql_deadlocks = {
     metrics: {
-      mssql_deadlocks_per_second: new client.Gauge({
-        name: "mssql_deadlocks",
-        help: "Number of lock requests per second that resulted in a deadlock since last restart",
-        labelNames: ["host"]
-      })
+      mssql_deadlocks_per_second: cumulative(
+        {
+          name: "mssql_deadlocks_total",
+          help: "Number of lock requests that resulted in a deadlock since last restart",
+          labelNames: ["host"],
+        },
+        { name: "mssql_deadlocks", help: "Number of lock requests per second that resulted in a deadlock since last restart" }
+      ),
     },
     query: `SELECT cntr_value
             FROM sys.dm_os_performance_counters
@@ -122,17 +179,20 @@ function getMetrics() {
     collect: (rows, metrics, host) => {
       const mssql_deadlocks = rows[0][0];
       metricsLog("Fetched number of deadlocks/sec", host, mssql_deadlocks);
-      metrics.mssql_deadlocks_per_second.set({ host }, mssql_deadlocks);
-    }
+      setValue(metrics.mssql_deadlocks_per_second, { host }, mssql_deadlocks);
+    },
   };
 
   const mssql_user_errors = {
     metrics: {
-      mssql_user_errors: new client.Gauge({
-        name: "mssql_user_errors",
-        help: "Number of user errors/sec since last restart",
-        labelNames: ["host"]
-      })
+      mssql_user_errors: cumulative(
+        {
+          name: "mssql_user_errors_total",
+          help: "Number of user errors since last restart",
+          labelNames: ["host"],
+        },
+        { name: "mssql_user_errors", help: "Number of user errors/sec since last restart" }
+      ),
     },
     query: `SELECT cntr_value
             FROM sys.dm_os_performance_counters
@@ -141,17 +201,20 @@ function getMetrics() {
     collect: (rows, metrics, host) => {
       const mssql_user_errors = rows[0][0];
       metricsLog("Fetched number of user errors/sec", host, mssql_user_errors);
-      metrics.mssql_user_errors.set({ host }, mssql_user_errors);
-    }
+      setValue(metrics.mssql_user_errors, { host }, mssql_user_errors);
+    },
   };
 
   const mssql_kill_connection_errors = {
     metrics: {
-      mssql_kill_connection_errors: new client.Gauge({
-        name: "mssql_kill_connection_errors",
-        help: "Number of kill connection errors/sec since last restart",
-        labelNames: ["host"]
-      })
+      mssql_kill_connection_errors: cumulative(
+        {
+          name: "mssql_kill_connection_errors_total",
+          help: "Number of kill connection errors since last restart",
+          labelNames: ["host"],
+        },
+        { name: "mssql_kill_connection_errors", help: "Number of kill connection errors/sec since last restart" }
+      ),
     },
     query: `SELECT cntr_value
             FROM sys.dm_os_performance_counters
@@ -160,8 +223,95 @@ function getMetrics() {
     collect: (rows, metrics, host) => {
       const mssql_kill_connection_errors = rows[0][0];
       metricsLog("Fetched number of kill connection errors/sec", host, mssql_kill_connection_errors);
-      metrics.mssql_kill_connection_errors.set({ host }, mssql_kill_connection_errors);
-    }
+      setValue(metrics.mssql_kill_connection_errors, { host }, mssql_kill_connection_errors);
+    },
+  };
+
+  const mssql_blocking = {
+    metrics: {
+      mssql_blocked_sessions: new client.Gauge({
+        name: "mssql_blocked_sessions",
+        help: "Number of requests waiting on a lock held by another session",
+        labelNames: ["host"],
+        registers,
+      }),
+      mssql_blocked_wait_seconds_max: new client.Gauge({
+        name: "mssql_blocked_wait_seconds_max",
+        help: "Longest wait of a blocked request",
+        labelNames: ["host"],
+        registers,
+      }),
+      mssql_head_blockers: new client.Gauge({
+        name: "mssql_head_blockers",
+        help: "Number of sessions at the head of a blocking chain: blocking other sessions without being blocked",
+        labelNames: ["host"],
+        registers,
+      }),
+    },
+    query: `SELECT COUNT(*),
+                   ISNULL(MAX(wait_time), 0),
+                   (SELECT COUNT(DISTINCT r.blocking_session_id)
+                    FROM sys.dm_exec_requests r
+                    WHERE r.blocking_session_id > 0
+                      AND NOT EXISTS(SELECT 1
+                                     FROM sys.dm_exec_requests b
+                                     WHERE b.session_id = r.blocking_session_id
+                                       AND b.blocking_session_id <> 0))
+            FROM sys.dm_exec_requests
+            WHERE blocking_session_id <> 0`,
+    collect: (rows, metrics, host) => {
+      const row = rows[0];
+      metricsLog("Fetched blocking", host, "blocked_sessions", row[0], "wait_time", row[1], "head_blockers", row[2]);
+      metrics.mssql_blocked_sessions.set({ host }, row[0]);
+      metrics.mssql_blocked_wait_seconds_max.set({ host }, row[1] / 1000);
+      metrics.mssql_head_blockers.set({ host }, row[2]);
+    },
+  };
+
+  const mssql_requests = {
+    metrics: {
+      mssql_active_requests: new client.Gauge({
+        name: "mssql_active_requests",
+        help: "Number of requests of user sessions by database, status and wait type",
+        labelNames: ["host", "database", "status", "wait_type"],
+        registers,
+      }),
+      mssql_active_request_max_age_seconds: new client.Gauge({
+        name: "mssql_active_request_max_age_seconds",
+        help: "Time since the oldest request of user sessions started by database, status and wait type",
+        labelNames: ["host", "database", "status", "wait_type"],
+        registers,
+      }),
+      mssql_long_running_requests: new client.Gauge({
+        name: "mssql_long_running_requests",
+        help: `Number of requests of user sessions running for more than the long running threshold (${longRunningThreshold}s) by database, status and wait type`,
+        labelNames: ["host", "database", "status", "wait_type"],
+        registers,
+      }),
+    },
+    // no rows when the exporter is the only active session
+    allowEmpty: true,
+    query: `SELECT ISNULL(DB_NAME(r.database_id), ''),
+                   r.status,
+                   ISNULL(r.wait_type, ''),
+                   COUNT(*),
+                   MAX(DATEDIFF(second, r.start_time, GETDATE())),
+                   SUM(CASE WHEN DATEDIFF(second, r.start_time, GETDATE()) >= ${Number(longRunningThreshold)} THEN 1 ELSE 0 END)
+            FROM sys.dm_exec_requests r
+                     INNER JOIN sys.dm_exec_sessions s ON s.session_id = r.session_id
+            WHERE s.is_user_process = 1
+              AND r.session_id <> @@SPID
+            GROUP BY r.database_id, r.status, r.wait_type`,
+    collect: (rows, metrics, host) => {
+      for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        const labels = { host, database: row[0], status: row[1], wait_type: row[2] };
+        metricsLog("Fetched active requests", labels, "count", row[3], "max_age", row[4], "long_running", row[5]);
+        metrics.mssql_active_requests.set(labels, row[3]);
+        metrics.mssql_active_request_max_age_seconds.set(labels, row[4]);
+        metrics.mssql_long_running_requests.set(labels, row[5]);
+      }
+    },
   };
 
   const mssql_database_state = {
@@ -169,11 +319,12 @@ function getMetrics() {
       mssql_database_state: new client.Gauge({
         name: "mssql_database_state",
         help: "Databases states: 0=ONLINE 1=RESTORING 2=RECOVERING 3=RECOVERY_PENDING 4=SUSPECT 5=EMERGENCY 6=OFFLINE 7=COPYING 10=OFFLINE_SECONDARY",
-        labelNames: ["host", "database"]
-      })
+        labelNames: ["host", "database"],
+        registers,
+      }),
     },
     query: `SELECT name, state
-            FROM master.sys.databases`,
+            FROM sys.databases`,
     collect: (rows, metrics, host) => {
       for (let i = 0; i < rows.length; i++) {
         const row = rows[i];
@@ -182,16 +333,19 @@ function getMetrics() {
         metricsLog("Fetched state for database", host, database, mssql_database_state);
         metrics.mssql_database_state.set({ host, database }, mssql_database_state);
       }
-    }
+    },
   };
 
   const mssql_log_growths = {
     metrics: {
-      mssql_log_growths: new client.Gauge({
-        name: "mssql_log_growths",
-        help: "Total number of times the transaction log for the database has been expanded last restart",
-        labelNames: ["host", "database"]
-      })
+      mssql_log_growths: cumulative(
+        {
+          name: "mssql_log_growths_total",
+          help: "Total number of times the transaction log for the database has been expanded since last restart",
+          labelNames: ["host", "database"],
+        },
+        { name: "mssql_log_growths", help: "Total number of times the transaction log for the database has been expanded last restart" }
+      ),
     },
     query: `SELECT rtrim(instance_name), cntr_value
             FROM sys.dm_os_performance_counters
@@ -203,9 +357,9 @@ function getMetrics() {
         const database = row[0];
         const mssql_log_growths = row[1];
         metricsLog("Fetched number log growths for database", host, database, mssql_log_growths);
-        metrics.mssql_log_growths.set({ host, database }, mssql_log_growths);
+        setValue(metrics.mssql_log_growths, { host, database }, mssql_log_growths);
       }
-    }
+    },
   };
 
   const mssql_database_filesize = {
@@ -213,9 +367,11 @@ function getMetrics() {
       mssql_database_filesize: new client.Gauge({
         name: "mssql_database_filesize",
         help: "Physical sizes of files used by database in KB, their names and types (0=rows, 1=log, 2=filestream,3=n/a 4=fulltext(before v2008 of MSSQL))",
-        labelNames: ["host", "database", "logicalname", "type", "filename"]
-      })
+        labelNames: ["host", "database", "logicalname", "type", "filename"],
+        registers,
+      }),
     },
+    supports: { editions: INSTANCE_EDITIONS },
     query: `SELECT DB_NAME(database_id) AS    database_name,
                    name                 AS    logical_name,
                    type,
@@ -244,44 +400,155 @@ function getMetrics() {
           "size",
           mssql_database_filesize
         );
-        metrics.mssql_database_filesize.set({
-          host,
-          database,
-          logicalname,
-          type,
-          filename
-        }, mssql_database_filesize);
+        metrics.mssql_database_filesize.set(
+          {
+            host,
+            database,
+            logicalname,
+            type,
+            filename,
+          },
+          mssql_database_filesize
+        );
       }
-    }
+    },
   };
 
-  const mssql_buffer_manager = {
+  const mssql_database_files = {
+    metrics: {
+      mssql_database_file_used_bytes: new client.Gauge({
+        name: "mssql_database_file_used_bytes",
+        help: "Space used in the file of the database",
+        labelNames: ["host", "database", "logicalname", "type"],
+        registers,
+      }),
+      mssql_database_file_size_bytes: new client.Gauge({
+        name: "mssql_database_file_size_bytes",
+        help: "Allocated size of the file of the database",
+        labelNames: ["host", "database", "logicalname", "type"],
+        registers,
+      }),
+      mssql_database_file_max_size_bytes: new client.Gauge({
+        name: "mssql_database_file_max_size_bytes",
+        help: "Maximum size of the file of the database, -1 when the file grows until the disk is full",
+        labelNames: ["host", "database", "logicalname", "type"],
+        registers,
+      }),
+      mssql_database_file_growth: new client.Gauge({
+        name: "mssql_database_file_growth",
+        help: "Growth increment of the file of the database: bytes, or percent when mssql_database_file_is_percent_growth is 1. 0 when the file does not grow",
+        labelNames: ["host", "database", "logicalname", "type"],
+        registers,
+      }),
+      mssql_database_file_is_percent_growth: new client.Gauge({
+        name: "mssql_database_file_is_percent_growth",
+        help: "Whether the growth increment of the file of the database is a percentage (1) or a size (0)",
+        labelNames: ["host", "database", "logicalname", "type"],
+        registers,
+      }),
+    },
+    perDatabase: true,
+    query: forEachDatabase(
+      `SELECT DB_NAME(), name, type, size, FILEPROPERTY(name, 'SpaceUsed'), max_size, growth, is_percent_growth
+       FROM sys.database_files`,
+      "database_name sysname, logical_name sysname, type tinyint, size int, used int, max_size int, growth int, is_percent_growth bit"
+    ),
+    collect: (rows, metrics, host) => {
+      for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        const labels = { host, database: row[0], logicalname: row[1], type: row[2] };
+        metricsLog("Fetched file space of database", labels, "size", row[3], "used", row[4], "max_size", row[5], "growth", row[6], "is_percent_growth", row[7]);
+        // sizes are in 8KB pages
+        metrics.mssql_database_file_size_bytes.set(labels, row[3] * 8192);
+        if (row[4] !== null) metrics.mssql_database_file_used_bytes.set(labels, row[4] * 8192);
+        metrics.mssql_database_file_max_size_bytes.set(labels, row[5] === -1 ? -1 : row[5] * 8192);
+        metrics.mssql_database_file_growth.set(labels, row[7] ? row[6] : row[6] * 8192);
+        metrics.mssql_database_file_is_percent_growth.set(labels, row[7] ? 1 : 0);
+      }
+    },
+  };
+
+  const mssql_database_log = {
     metrics: {
-      mssql_page_read_total: new client.Gauge({
-        name: "mssql_page_read_total",
-        help: "Page reads/sec",
-        labelNames: ["host"]
+      mssql_database_log_used_bytes: new client.Gauge({
+        name: "mssql_database_log_used_bytes",
+        help: "Space used in the transaction log of the database",
+        labelNames: ["host", "database"],
+        registers,
+      }),
+      mssql_database_log_size_bytes: new client.Gauge({
+        name: "mssql_database_log_size_bytes",
+        help: "Size of the transaction log of the database",
+        labelNames: ["host", "database"],
+        registers,
       }),
-      mssql_page_write_total: new client.Gauge({
-        name: "mssql_page_write_total",
-        help: "Page writes/sec",
-        labelNames: ["host"]
+      mssql_database_log_reuse_wait: new client.Gauge({
+        name: "mssql_database_log_reuse_wait",
+        help: "What the reuse of the transaction log space of the database is waiting for (reason label): 0=NOTHING 1=CHECKPOINT 2=LOG_BACKUP 3=ACTIVE_BACKUP_OR_RESTORE 4=ACTIVE_TRANSACTION 5=DATABASE_MIRRORING 6=REPLICATION 7=DATABASE_SNAPSHOT_CREATION 8=LOG_SCAN 9=AVAILABILITY_REPLICA 13=OLDEST_PAGE 14=OTHER_TRANSIENT 16=XTP_CHECKPOINT",
+        labelNames: ["host", "database", "reason"],
+        registers,
       }),
+    },
+    perDatabase: true,
+    query: forEachDatabase(
+      `SELECT DB_NAME(), l.used_log_space_in_bytes, l.total_log_size_in_bytes, d.log_reuse_wait, d.log_reuse_wait_desc
+       FROM sys.dm_db_log_space_usage l
+                CROSS JOIN sys.databases d
+       WHERE d.database_id = DB_ID()`,
+      "database_name sysname, used bigint, size bigint, log_reuse_wait tinyint, log_reuse_wait_desc nvarchar(60)"
+    ),
+    collect: (rows, metrics, host) => {
+      for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        const database = row[0];
+        metricsLog("Fetched transaction log space of database", host, database, "used", row[1], "size", row[2], "log_reuse_wait", row[4]);
+        metrics.mssql_database_log_used_bytes.set({ host, database }, +row[1]);
+        metrics.mssql_database_log_size_bytes.set({ host, database }, +row[2]);
+        metrics.mssql_database_log_reuse_wait.set({ host, database, reason: row[4] }, row[3]);
+      }
+    },
+  };
+
+  const mssql_buffer_manager = {
+    metrics: {
+      mssql_page_read_total: cumulative(
+        {
+          name: "mssql_page_read_total",
+          help: "Number of physical database page reads since last restart",
+          labelNames: ["host"],
+        },
+        { help: "Page reads/sec" }
+      ),
+      mssql_page_write_total: cumulative(
+        {
+          name: "mssql_page_write_total",
+          help: "Number of physical database page writes since last restart",
+          labelNames: ["host"],
+        },
+        { help: "Page writes/sec" }
+      ),
       mssql_page_life_expectancy: new client.Gauge({
         name: "mssql_page_life_expectancy",
         help: "Indicates the minimum number of seconds a page will stay in the buffer pool on this node without references. The traditional advice from Microsoft used to be that the PLE should remain above 300 seconds",
-        labelNames: ["host"]
+        labelNames: ["host"],
+        registers,
       }),
-      mssql_lazy_write_total: new client.Gauge({
-        name: "mssql_lazy_write_total",
-        help: "Lazy writes/sec",
-        labelNames: ["host"]
-      }),
-      mssql_page_checkpoint_total: new client.Gauge({
-        name: "mssql_page_checkpoint_total",
-        help: "Checkpoint pages/sec",
-        labelNames: ["host"]
-      })
+      mssql_lazy_write_total: cumulative(
+        {
+          name: "mssql_lazy_write_total",
+          help: "Number of buffers written by the buffer manager's lazy writer since last restart",
+          labelNames: ["host"],
+        },
+        { help: "Lazy writes/sec" }
+      ),
+      mssql_page_checkpoint_total: cumulative(
+        {
+          name: "mssql_page_checkpoint_total",
+          help: "Number of pages flushed to disk by a checkpoint since last restart",
+          labelNames: ["host"],
+        },
+        { help: "Checkpoint pages/sec" }
+      ),
     },
     query: `SELECT *
             FROM (SELECT rtrim(counter_name) as counter_name, cntr_value
@@ -318,27 +585,45 @@ function getMetrics() {
         "lazy_write_total",
         lazy_write_total
       );
-      metrics.mssql_page_read_total.set({ host }, page_read);
-      metrics.mssql_page_write_total.set({ host }, page_write);
+      setValue(metrics.mssql_page_read_total, { host }, page_read);
+      setValue(metrics.mssql_page_write_total, { host }, page_write);
       metrics.mssql_page_life_expectancy.set({ host }, page_life_expectancy);
-      metrics.mssql_page_checkpoint_total.set({ host }, page_checkpoint_total);
-      metrics.mssql_lazy_write_total.set({ host }, lazy_write_total);
-    }
+      setValue(metrics.mssql_page_checkpoint_total, { host }, page_checkpoint_total);
+      setValue(metrics.mssql_lazy_write_total, { host }, lazy_write_total);
+    },
   };
 
   const mssql_io_stall = {
     metrics: {
-      mssql_io_stall: new client.Gauge({
-        name: "mssql_io_stall",
-        help: "Wait time (ms) of stall since last restart",
-        labelNames: ["host", "database", "type"]
-      }),
-      mssql_io_stall_total: new client.Gauge({
-        name: "mssql_io_stall_total",
-        help: "Wait time (ms) of stall since last restart",
-        labelNames: ["host", "database"]
-      })
+      mssql_io_stall: cumulative(
+        {
+          name: "mssql_io_stall_seconds_total",
+          help: "Wait time of stall since last restart by type: read, write, queued_read, queued_write",
+          labelNames: ["host", "database", "type"],
+        },
+        { name: "mssql_io_stall", help: "Wait time (ms) of stall since last restart" }
+      ),
+      mssql_io_stall_total: cumulative(
+        {
+          name: "mssql_io_stall_all_seconds_total",
+          help: "Wait time of all stalls since last restart",
+          labelNames: ["host", "database"],
+        },
+        { name: "mssql_io_stall_total", help: "Wait time (ms) of stall since last restart" }
+      ),
+      // the legacy mssql_io_stall gauge holds the averages as avg_read and avg_write types
+      ...(legacyNames
+        ? {}
+        : {
+            mssql_io_stall_average: new client.Gauge({
+              name: "mssql_io_stall_average_seconds",
+              help: "Average wait time of stall per operation since last restart by type: read, write",
+              labelNames: ["host", "database", "type"],
+              registers,
+            }),
+          }),
     },
+    supports: { editions: INSTANCE_EDITIONS },
     query: `SELECT cast(DB_Name(a.database_id) as varchar) as name,
                    sum(io_stall_read_ms) as io_stall_read_ms,
                    sum(io_stall_write_ms) as io_stall_write_ms,
@@ -363,25 +648,51 @@ function getMetrics() {
         const queued_write = row[5];
         const avg_read = row[6];
         const avg_write = row[7];
-        metricsLog("Fetched number of stalls for database", database, "host", host, "read", read, "write", write, "queued_read", queued_read, "queued_write", queued_write, "avg_read", avg_read, "avg_write", avg_write);
-        metrics.mssql_io_stall_total.set({ host, database }, stall);
-        metrics.mssql_io_stall.set({ host, database, type: "read" }, read);
-        metrics.mssql_io_stall.set({ host, database, type: "write" }, write);
-        metrics.mssql_io_stall.set({ host, database, type: "queued_read" }, queued_read);
-        metrics.mssql_io_stall.set({ host, database, type: "queued_write" }, queued_write);
-        metrics.mssql_io_stall.set({ host, database, type: "avg_read" }, avg_read);
-        metrics.mssql_io_stall.set({ host, database, type: "avg_write" }, avg_write);
+        metricsLog(
+          "Fetched number of stalls for database",
+          database,
+          "host",
+          host,
+          "read",
+          read,
+          "write",
+          write,
+          "queued_read",
+          queued_read,
+          "queued_write",
+          queued_write,
+          "avg_read",
+          avg_read,
+          "avg_write",
+          avg_write
+        );
+        // the legacy gauges are in ms
+        const unit = legacyNames ? 1 : 0.001;
+        const average = metrics.mssql_io_stall_average || metrics.mssql_io_stall;
+        setValue(metrics.mssql_io_stall_total, { host, database }, stall * unit);
+        setValue(metrics.mssql_io_stall, { host, database, type: "read" }, read * unit);
+        setValue(metrics.mssql_io_stall, { host, database, type: "write" }, write * unit);
+        setValue(metrics.mssql_io_stall, { host, database, type: "queued_read" }, queued_read * unit);
+        setValue(metrics.mssql_io_stall, { host, database, type: "queued_write" }, queued_write * unit);
+        average.set({ host, database, type: legacyNames ? "avg_read" : "read" }, avg_read * unit);
+        average.set({ host, database, type: legacyNames ? "avg_write" : "write" }, avg_write * unit);
       }
-    }
+    },
   };
 
   const mssql_batch_requests = {
     metrics: {
-      mssql_batch_requests: new client.Gauge({
-        name: "mssql_batch_requests",
-        help: "Number of Transact-SQL command batches received per second. This statistic is affected by all constraints (such as I/O, number of users, cachesize, complexity of requests, and so on). High batch requests mean good throughput",
-        labelNames: ["host"]
-      })
+      mssql_batch_requests: cumulative(
+        {
+          name: "mssql_batch_requests_total",
+          help: "Number of Transact-SQL command batches received since last restart. This statistic is affected by all constraints (such as I/O, number of users, cachesize, complexity of requests, and so on). A high rate of batch requests means good throughput",
+          labelNames: ["host"],
+        },
+        {
+          name: "mssql_batch_requests",
+          help: "Number of Transact-SQL command batches received per second. This statistic is affected by all constraints (such as I/O, number of users, cachesize, complexity of requests, and so on). High batch requests mean good throughput",
+        }
+      ),
     },
     query: `SELECT TOP 1 cntr_value
             FROM sys.dm_os_performance_counters
@@ -391,18 +702,24 @@ function getMetrics() {
         const row = rows[i];
         const mssql_batch_requests = row[0];
         metricsLog("Fetched number of batch requests per second", host, mssql_batch_requests);
-        metrics.mssql_batch_requests.set({ host }, mssql_batch_requests);
+        setValue(metrics.mssql_batch_requests, { host }, mssql_batch_requests);
       }
-    }
+    },
   };
 
   const mssql_transactions = {
     metrics: {
-      mssql_transactions: new client.Gauge({
-        name: "mssql_transactions",
-        help: "Number of transactions started for the database per second. Transactions/sec does not count XTP-only transactions (transactions started by a natively compiled stored procedure.)",
-        labelNames: ["host", "database"]
-      })
+      mssql_transactions: cumulative(
+        {
+          name: "mssql_transactions_total",
+          help: "Number of transactions started for the database since last restart. XTP-only transactions (transactions started by a natively compiled stored procedure.) are not counted",
+          labelNames: ["host", "database"],
+        },
+        {
+          name: "mssql_transactions",
+          help: "Number of transactions started for the database per second. Transactions/sec does not count XTP-only transactions (transactions started by a natively compiled stored procedure.)",
+        }
+      ),
     },
     query: `SELECT rtrim(instance_name), cntr_value
             FROM sys.dm_os_performance_counters
@@ -414,33 +731,38 @@ function getMetrics() {
         const database = row[0];
         const transactions = row[1];
         metricsLog("Fetched number of transactions per second", database, transactions);
-        metrics.mssql_transactions.set({ host, database }, transactions);
+        setValue(metrics.mssql_transactions, { host, database }, transactions);
       }
-    }
+    },
   };
 
   const mssql_os_process_memory = {
     metrics: {
-      mssql_page_fault_count: new client.Gauge({
-        name: "mssql_page_fault_count",
-        help: "Number of page faults since last restart",
-        labelNames: ["host"]
-      }),
+      mssql_page_fault_count: cumulative(
+        {
+          name: "mssql_page_faults_total",
+          help: "Number of page faults since last restart",
+          labelNames: ["host"],
+        },
+        { name: "mssql_page_fault_count" }
+      ),
       mssql_memory_utilization_percentage: new client.Gauge({
         name: "mssql_memory_utilization_percentage",
         help: "Percentage of memory utilization",
-        labelNames: ["host"]
-      })
+        labelNames: ["host"],
+        registers,
+      }),
     },
+    supports: { editions: INSTANCE_EDITIONS },
     query: `SELECT page_fault_count, memory_utilization_percentage
             FROM sys.dm_os_process_memory`,
     collect: (rows, metrics, host) => {
       const page_fault_count = rows[0][0];
       const memory_utilization_percentage = rows[0][1];
       metricsLog("Fetched page fault count", page_fault_count);
-      metrics.mssql_page_fault_count.set({ host }, page_fault_count);
+      setValue(metrics.mssql_page_fault_count, { host }, page_fault_count);
       metrics.mssql_memory_utilization_percentage.set({ host }, memory_utilization_percentage);
-    }
+    },
   };
 
   const mssql_os_sys_memory = {
@@ -448,24 +770,29 @@ function getMetrics() {
       mssql_total_physical_memory_kb: new client.Gauge({
         name: "mssql_total_physical_memory_kb",
         help: "Total physical memory in KB",
-        labelNames: ["host"]
+        labelNames: ["host"],
+        registers,
       }),
       mssql_available_physical_memory_kb: new client.Gauge({
         name: "mssql_available_physical_memory_kb",
         help: "Available physical memory in KB",
-        labelNames: ["host"]
+        labelNames: ["host"],
+        registers,
       }),
       mssql_total_page_file_kb: new client.Gauge({
         name: "mssql_total_page_file_kb",
         help: "Total page file in KB",
-        labelNames: ["host"]
+        labelNames: ["host"],
+        registers,
       }),
       mssql_available_page_file_kb: new client.Gauge({
         name: "mssql_available_page_file_kb",
         help: "Available page file in KB",
-        labelNames: ["host"]
-      })
+        labelNames: ["host"],
+        registers,
+      }),
     },
+    supports: { editions: INSTANCE_EDITIONS },
     query: `SELECT total_physical_memory_kb,
                    available_physical_memory_kb,
                    total_page_file_kb,
@@ -493,17 +820,17 @@ function getMetrics() {
       metrics.mssql_available_physical_memory_kb.set({ host }, mssql_available_physical_memory_kb);
       metrics.mssql_total_page_file_kb.set({ host }, mssql_total_page_file_kb);
       metrics.mssql_available_page_file_kb.set({ host }, mssql_available_page_file_kb);
-    }
+    },
   };
 
-
   const mssql_db_memory = {
     metrics: {
       mssql_db_memory: new client.Gauge({
         name: "mssql_db_memory",
         help: "RAM used by database",
-        labelNames: ["host", "database"]
-      })
+        labelNames: ["host", "database"],
+        registers,
+      }),
     },
     query: `SELECT ISNULL(DB_NAME(database_id), 'null') As [database_name],
                    COUNT(1) * 8                         AS memory_usage
@@ -518,7 +845,66 @@ function getMetrics() {
         metricsLog("RAM per database", database, "host", host, "memory_usage", memory_usage);
         metrics.mssql_db_memory.set({ host, database }, memory_usage);
       }
-    }
+    },
+  };
+
+  const mssql_tempdb = {
+    metrics: {
+      mssql_tempdb_space_bytes: new client.Gauge({
+        name: "mssql_tempdb_space_bytes",
+        help: "Space of the tempdb data files by usage: user_objects, internal_objects, version_store, mixed_extents, free",
+        labelNames: ["host", "type"],
+        registers,
+      }),
+      mssql_snapshot_transaction_max_age_seconds: new client.Gauge({
+        name: "mssql_snapshot_transaction_max_age_seconds",
+        help: "Time since the start of the longest running transaction using row versioning, 0 when there is none",
+        labelNames: ["host"],
+        registers,
+      }),
+    },
+    supports: { editions: INSTANCE_EDITIONS },
+    query: `SELECT SUM(user_object_reserved_page_count),
+                   SUM(internal_object_reserved_page_count),
+                   SUM(version_store_reserved_page_count),
+                   SUM(mixed_extent_page_count),
+                   SUM(unallocated_extent_page_count),
+                   (SELECT ISNULL(MAX(elapsed_time_seconds), 0) FROM sys.dm_tran_active_snapshot_database_transactions)
+            FROM tempdb.sys.dm_db_file_space_usage`,
+    collect: (rows, metrics, host) => {
+      const row = rows[0];
+      const types = ["user_objects", "internal_objects", "version_store", "mixed_extents", "free"];
+      metricsLog("Fetched tempdb space usage in pages", host, types, row.slice(0, 5), "snapshot_transaction_max_age", row[5]);
+      // 8KB pages
+      types.forEach((type, i) => metrics.mssql_tempdb_space_bytes.set({ host, type }, row[i] * 8192));
+      metrics.mssql_snapshot_transaction_max_age_seconds.set({ host }, row[5]);
+    },
+  };
+
+  const mssql_version_store = {
+    metrics: {
+      mssql_version_store_bytes: new client.Gauge({
+        name: "mssql_version_store_bytes",
+        help: "Space used in the tempdb version store by the row versions of the database",
+        labelNames: ["host", "database"],
+        registers,
+      }),
+    },
+    // no rows when no database uses row versioning
+    allowEmpty: true,
+    // sys.dm_tran_version_store_space_usage appeared with SQL Server 2016 SP2
+    supports: { version: "13.0.5026.0" },
+    query: `SELECT DB_NAME(database_id), reserved_space_kb
+            FROM sys.dm_tran_version_store_space_usage`,
+    collect: (rows, metrics, host) => {
+      for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        const database = row[0];
+        const version_store = row[1] * 1024;
+        metricsLog("Fetched version store usage of database", host, database, version_store);
+        metrics.mssql_version_store_bytes.set({ host, database }, version_store);
+      }
+    },
   };
 
   const mssql_volume_stats = {
@@ -526,19 +912,23 @@ function getMetrics() {
       mssql_volume_total_bytes: new client.Gauge({
         name: "mssql_volume_total_bytes",
         help: "Total size in bytes of the volume",
-        labelNames: ["host", "volume_mount_point"]
+        labelNames: ["host", "volume_mount_point"],
+        registers,
       }),
       mssql_volume_available_bytes: new client.Gauge({
         name: "mssql_volume_available_bytes",
         help: "Available free space on the volume",
-        labelNames: ["host", "volume_mount_point"]
+        labelNames: ["host", "volume_mount_point"],
+        registers,
       }),
       mssql_volume_available_percentage: new client.Gauge({
         name: "mssql_volume_available_percentage",
         help: "Available free space on the volume ( % )",
-        labelNames: ["host", "volume_mount_point"]
-      })
+        labelNames: ["host", "volume_mount_point"],
+        registers,
+      }),
     },
+    supports: { editions: INSTANCE_EDITIONS },
     query: `
         SELECT distinct(volume_mount_point),
                        total_bytes,
@@ -556,147 +946,434 @@ function getMetrics() {
         const available_bytes = +row[2];
         const available_percentage = +row[3];
         metricsLog("Fetch volume stats for volume_mount_point ", volume_mount_point);
-        metrics.mssql_volume_total_bytes.set(
-          { host, volume_mount_point },
-          total_bytes
-        );
-        metrics.mssql_volume_available_bytes.set(
-          { host, volume_mount_point },
-          available_bytes
-        );
-        metrics.mssql_volume_available_percentage.set(
-          { host, volume_mount_point },
-          available_percentage
-        );
+        metrics.mssql_volume_total_bytes.set({ host, volume_mount_point }, total_bytes);
+        metrics.mssql_volume_available_bytes.set({ host, volume_mount_point }, available_bytes);
+        metrics.mssql_volume_available_percentage.set({ host, volume_mount_point }, available_percentage);
       }
-    }
+    },
   };
 
-  const mssql_most_exec_query = {
+  const mssql_backups = {
     metrics: {
-      mssql_total_execution_count: new client.Gauge({name: 'mssql_total_execution_count', help: 'Total Execution Count', labelNames: ["database", "query_id", "query_text_id", "query_sql_text"]}),
+      mssql_database_recovery_model: new client.Gauge({
+        name: "mssql_database_recovery_model",
+        help: "Recovery model of the database: 1=FULL 2=BULK_LOGGED 3=SIMPLE",
+        labelNames: ["host", "database"],
+        registers,
+      }),
+      mssql_last_backup_timestamp_seconds: new client.Gauge({
+        name: "mssql_last_backup_timestamp_seconds",
+        help: "Completion time of the last backup of the database by type (full, differential, log) in seconds since epoch, 0 when never backed up",
+        labelNames: ["host", "database", "type"],
+        registers,
+      }),
+      mssql_last_backup_size_bytes: new client.Gauge({
+        name: "mssql_last_backup_size_bytes",
+        help: "Size of the last backup of the database by type (full, differential, log)",
+        labelNames: ["host", "database", "type"],
+        registers,
+      }),
     },
-    query: `
-        SELECT TOP 100 q.query_id, qt.query_text_id, qt.query_sql_text, SUM(rs.count_executions) AS total_execution_count
-        FROM sys.query_store_query_text AS qt
-                 JOIN sys.query_store_query AS q
-                      ON qt.query_text_id = q.query_text_id
-                 JOIN sys.query_store_plan AS p
-                      ON q.query_id = p.query_id
-                 JOIN sys.query_store_runtime_stats AS rs
-                      ON p.plan_id = rs.plan_id
-        WHERE rs.avg_duration > 1000000
-        GROUP BY q.query_id, qt.query_text_id, qt.query_sql_text
-        ORDER BY total_execution_count DESC
-    `,
-    collect: function (rows, metrics, config, host) {
-      let dbname = config.connect.options.database;
+    supports: { editions: INSTANCE_EDITIONS },
+    query: `SELECT d.name,
+                   d.recovery_model,
+                   t.type,
+                   DATEDIFF(second, '19700101', b.backup_finish_date) - DATEDIFF(second, GETUTCDATE(), GETDATE()),
+                   b.backup_size
+            -- backup times are in the local time of the instance
+            FROM sys.databases d
+                     CROSS JOIN (VALUES ('D'), ('I'), ('L')) t(type)
+                     -- only the backups taken by this server (msdb also holds the history of the restored backups
+                     -- and of other servers), without the copy-only backups outside of the backup chain
+                     OUTER APPLY (SELECT TOP 1 bs.backup_finish_date, bs.backup_size
+                                  FROM msdb.dbo.backupset bs
+                                  WHERE bs.database_name = d.name COLLATE DATABASE_DEFAULT
+                                    AND bs.type = t.type
+                                    AND bs.server_name = @@SERVERNAME
+                                    AND bs.is_copy_only = 0
+                                  ORDER BY bs.backup_finish_date DESC) b
+            WHERE d.name <> 'tempdb'`,
+    collect: (rows, metrics, host) => {
+      const types = { D: "full", I: "differential", L: "log" };
       for (let i = 0; i < rows.length; i++) {
         const row = rows[i];
-        const mssql_query_id = row[0];
-        const mssql_query_text_id = row[1];
-        const mssql_query_sql_text = row[2];
-        const mssql_total_execution_count = row[3];
-        metricsLog("Most Executed Queries -", dbname);
-        metrics.mssql_total_execution_count.set({host, database: dbname, query_id: mssql_query_id, query_text_id: mssql_query_text_id, query_sql_text: mssql_query_sql_text},mssql_total_execution_count);
+        const database = row[0];
+        const type = types[row[2]];
+        metricsLog("Fetched last backup of database", host, database, "recovery_model", row[1], "type", type, "finished", row[3], "size", row[4]);
+        metrics.mssql_database_recovery_model.set({ host, database }, row[1]);
+        metrics.mssql_last_backup_timestamp_seconds.set({ host, database, type }, row[3] === null ? 0 : row[3]);
+        if (row[4] !== null) metrics.mssql_last_backup_size_bytes.set({ host, database, type }, +row[4]);
       }
-    }
+    },
+  };
 
+  const mssql_availability_replicas = {
+    metrics: {
+      mssql_ag_replica_role: new client.Gauge({
+        name: "mssql_ag_replica_role",
+        help: "Current role of the availability replica: 0=RESOLVING 1=PRIMARY 2=SECONDARY",
+        labelNames: ["host", "availability_group", "replica"],
+        registers,
+      }),
+      mssql_ag_replica_connected: new client.Gauge({
+        name: "mssql_ag_replica_connected",
+        help: "Whether the secondary replica is connected to the primary replica (1) or not (0)",
+        labelNames: ["host", "availability_group", "replica"],
+        registers,
+      }),
+      mssql_ag_replica_synchronization_health: new client.Gauge({
+        name: "mssql_ag_replica_synchronization_health",
+        help: "Synchronization health of the availability replica: 0=NOT_HEALTHY 1=PARTIALLY_HEALTHY 2=HEALTHY",
+        labelNames: ["host", "availability_group", "replica"],
+        registers,
+      }),
+    },
+    // no rows on instances without Always On availability groups
+    allowEmpty: true,
+    supports: { hadr: true },
+    query: `SELECT ag.name, ar.replica_server_name, ars.role, ars.connected_state, ars.synchronization_health
+            FROM sys.dm_hadr_availability_replica_states ars
+                     INNER JOIN sys.availability_replicas ar ON ar.replica_id = ars.replica_id
+                     INNER JOIN sys.availability_groups ag ON ag.group_id = ars.group_id
+            WHERE SERVERPROPERTY('IsHadrEnabled') = 1`,
+    collect: (rows, metrics, host) => {
+      for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        const labels = { host, availability_group: row[0], replica: row[1] };
+        metricsLog("Fetched availability replica state", labels, "role", row[2], "connected_state", row[3], "synchronization_health", row[4]);
+        // the state of the other replicas is not known by a disconnected secondary replica
+        if (row[2] !== null) metrics.mssql_ag_replica_role.set(labels, row[2]);
+        if (row[3] !== null) metrics.mssql_ag_replica_connected.set(labels, row[3]);
+        if (row[4] !== null) metrics.mssql_ag_replica_synchronization_health.set(labels, row[4]);
+      }
+    },
+  };
+
+  const mssql_availability_databases = {
+    metrics: {
+      mssql_ag_database_synchronization_state: new client.Gauge({
+        name: "mssql_ag_database_synchronization_state",
+        help: "Data movement state of the availability database: 0=NOT_SYNCHRONIZING 1=SYNCHRONIZING 2=SYNCHRONIZED 3=REVERTING 4=INITIALIZING",
+        labelNames: ["host", "availability_group", "replica", "database"],
+        registers,
+      }),
+      mssql_ag_database_synchronization_health: new client.Gauge({
+        name: "mssql_ag_database_synchronization_health",
+        help: "Synchronization health of the availability database: 0=NOT_HEALTHY 1=PARTIALLY_HEALTHY 2=HEALTHY",
+        labelNames: ["host", "availability_group", "replica", "database"],
+        registers,
+      }),
+      mssql_ag_database_log_send_queue_bytes: new client.Gauge({
+        name: "mssql_ag_database_log_send_queue_bytes",
+        help: "Amount of log records of the primary database that have not been sent to the secondary database",
+        labelNames: ["host", "availability_group", "replica", "database"],
+        registers,
+      }),
+      mssql_ag_database_redo_queue_bytes: new client.Gauge({
+        name: "mssql_ag_database_redo_queue_bytes",
+        help: "Amount of log records in the log files of the secondary replica that have not been redone",
+        labelNames: ["host", "availability_group", "replica", "database"],
+        registers,
+      }),
+      mssql_ag_database_redo_rate_bytes: new client.Gauge({
+        name: "mssql_ag_database_redo_rate_bytes",
+        help: "Average rate at which log records are redone on the secondary database in bytes per second",
+        labelNames: ["host", "availability_group", "replica", "database"],
+        registers,
+      }),
+      mssql_ag_database_last_commit_lag_seconds: new client.Gauge({
+        name: "mssql_ag_database_last_commit_lag_seconds",
+        help: "Time between the last commit of the primary database and the last commit of the secondary database",
+        labelNames: ["host", "availability_group", "replica", "database"],
+        registers,
+      }),
+    },
+    // no rows on instances without Always On availability groups
+    allowEmpty: true,
+    supports: { hadr: true },
+    query: `SELECT ag.name, ar.replica_server_name, DB_NAME(drs.database_id), drs.synchronization_state, drs.synchronization_health,
+                   drs.log_send_queue_size, drs.redo_queue_size, drs.redo_rate,
+                   DATEDIFF(second, drs.last_commit_time, p.last_commit_time)
+            FROM sys.dm_hadr_database_replica_states drs
+                     INNER JOIN sys.availability_replicas ar ON ar.replica_id = drs.replica_id
+                     INNER JOIN sys.availability_groups ag ON ag.group_id = drs.group_id
+                     LEFT JOIN sys.dm_hadr_database_replica_states p
+                               ON p.group_id = drs.group_id AND p.group_database_id = drs.group_database_id AND p.is_primary_replica = 1
+            WHERE SERVERPROPERTY('IsHadrEnabled') = 1`,
+    collect: (rows, metrics, host) => {
+      for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        const labels = { host, availability_group: row[0], replica: row[1], database: row[2] };
+        metricsLog("Fetched availability database state", labels, "synchronization_state", row[3], "log_send_queue_size", row[5], "redo_queue_size", row[6]);
+        metrics.mssql_ag_database_synchronization_state.set(labels, row[3]);
+        metrics.mssql_ag_database_synchronization_health.set(labels, row[4]);
+        // queues and rates are in KB and only known for secondary databases
+        if (row[5] !== null) metrics.mssql_ag_database_log_send_queue_bytes.set(labels, row[5] * 1024);
+        if (row[6] !== null) metrics.mssql_ag_database_redo_queue_bytes.set(labels, row[6] * 1024);
+        if (row[7] !== null) metrics.mssql_ag_database_redo_rate_bytes.set(labels, row[7] * 1024);
+        if (row[8] !== null) metrics.mssql_ag_database_last_commit_lag_seconds.set(labels, row[8]);
+      }
+    },
+  };
+
+  const mssql_agent_jobs = {
+    metrics: {
+      mssql_agent_job_enabled: new client.Gauge({
+        name: "mssql_agent_job_enabled",
+        help: "Whether the SQL Agent job is enabled (1) or not (0)",
+        labelNames: ["host", "job", "category"],
+        registers,
+      }),
+      mssql_agent_job_running: new client.Gauge({
+        name: "mssql_agent_job_running",
+        help: "Whether the SQL Agent job is currently running (1) or not (0)",
+        labelNames: ["host", "job", "category"],
+        registers,
+      }),
+      mssql_agent_job_last_run_outcome: new client.Gauge({
+        name: "mssql_agent_job_last_run_outcome",
+        help: "Outcome of the last run of the SQL Agent job: 0=FAILED 1=SUCCEEDED 2=RETRY 3=CANCELED 4=IN_PROGRESS",
+        labelNames: ["host", "job", "category"],
+        registers,
+      }),
+      mssql_agent_job_last_run_timestamp_seconds: new client.Gauge({
+        name: "mssql_agent_job_last_run_timestamp_seconds",
+        help: "Start time of the last run of the SQL Agent job in seconds since epoch",
+        labelNames: ["host", "job", "category"],
+        registers,
+      }),
+      mssql_agent_job_last_run_duration_seconds: new client.Gauge({
+        name: "mssql_agent_job_last_run_duration_seconds",
+        help: "Duration of the last run of the SQL Agent job",
+        labelNames: ["host", "job", "category"],
+        registers,
+      }),
+      mssql_agent_job_next_run_timestamp_seconds: new client.Gauge({
+        name: "mssql_agent_job_next_run_timestamp_seconds",
+        help: "Next scheduled run of the SQL Agent job in seconds since epoch",
+        labelNames: ["host", "job", "category"],
+        registers,
+      }),
+    },
+    // no rows when SQL Agent is disabled (Express edition, Linux without sqlagent.enabled)
+    allowEmpty: true,
+    supports: { editions: AGENT_EDITIONS },
+    query: `SELECT j.name,
+                   c.name,
+                   j.enabled,
+                   CASE WHEN a.start_execution_date IS NOT NULL AND a.stop_execution_date IS NULL THEN 1 ELSE 0 END,
+                   h.run_status,
+                   DATEDIFF(second, '19700101', DATEADD(second, h.run_time / 10000 * 3600 + h.run_time / 100 % 100 * 60 + h.run_time % 100, CONVERT(datetime, CONVERT(char(8), h.run_date)))) - DATEDIFF(second, GETUTCDATE(), GETDATE()),
+                   h.run_duration,
+                   DATEDIFF(second, '19700101', a.next_scheduled_run_date) - DATEDIFF(second, GETUTCDATE(), GETDATE())
+            -- job times are in the local time of the instance
+            FROM msdb.dbo.sysjobs j
+                     INNER JOIN msdb.dbo.syscategories c ON c.category_id = j.category_id
+                     OUTER APPLY (SELECT TOP 1 start_execution_date, stop_execution_date, next_scheduled_run_date
+                                  FROM msdb.dbo.sysjobactivity
+                                  WHERE job_id = j.job_id
+                                    AND session_id = (SELECT MAX(session_id) FROM msdb.dbo.syssessions)
+                                  ORDER BY run_requested_date DESC) a
+                     OUTER APPLY (SELECT TOP 1 run_status, run_date, run_time, run_duration
+                                  FROM msdb.dbo.sysjobhistory
+                                  WHERE job_id = j.job_id
+                                    AND step_id = 0
+                                  ORDER BY instance_id DESC) h
+            WHERE (SELECT value_in_use FROM sys.configurations WHERE name = 'Agent XPs') = 1`,
+    collect: (rows, metrics, host) => {
+      for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        const labels = { host, job: row[0], category: row[1] };
+        metricsLog("Fetched SQL Agent job", labels, "enabled", row[2], "running", row[3], "last_run_outcome", row[4]);
+        metrics.mssql_agent_job_enabled.set(labels, row[2] ? 1 : 0);
+        metrics.mssql_agent_job_running.set(labels, row[3]);
+        // jobs never run have no history, unscheduled jobs no next run
+        if (row[4] !== null) {
+          // run_duration is formatted as HHMMSS
+          const duration = Math.floor(row[6] / 10000) * 3600 + (Math.floor(row[6] / 100) % 100) * 60 + (row[6] % 100);
+          metrics.mssql_agent_job_last_run_outcome.set(labels, row[4]);
+          metrics.mssql_agent_job_last_run_timestamp_seconds.set(labels, row[5]);
+          metrics.mssql_agent_job_last_run_duration_seconds.set(labels, duration);
+        }
+        if (row[7] !== null) metrics.mssql_agent_job_next_run_timestamp_seconds.set(labels, row[7]);
+      }
+    },
+  };
+
+  /**
+   * Query Store queries run in each database with Query Store enabled, returning the database name first
+   */
+  const queryStore = (query, columns) =>
+    forEachDatabase(
+      `IF EXISTS(SELECT 1 FROM sys.database_query_store_options WHERE actual_state IN (1, 2))
+       ${query}`,
+      `database_name sysname, ${columns}`
+    );
+  const queryLabelNames = ["host", "database", "query_id", ...queryTextPolicy.labelNames];
+
+  const mssql_most_exec_query = {
+    metrics: {
+      mssql_total_execution_count: new client.Gauge({
+        name: "mssql_total_execution_count",
+        help: "Total number of executions of the queries averaging more than one second, 100 most executed queries by database",
+        labelNames: [...queryLabelNames, "query_text_id"],
+        registers,
+      }),
+    },
+    // no rows without Query Store enabled databases
+    allowEmpty: true,
+    supports: { version: "13.0.0.0" },
+    perDatabase: true,
+    query: queryStore(
+      `SELECT TOP 100 DB_NAME(), q.query_id, qt.query_text_id, qt.query_sql_text, SUM(rs.count_executions) AS total_execution_count
+       FROM sys.query_store_query_text AS qt
+                JOIN sys.query_store_query AS q ON qt.query_text_id = q.query_text_id
+                JOIN sys.query_store_plan AS p ON q.query_id = p.query_id
+                JOIN sys.query_store_runtime_stats AS rs ON p.plan_id = rs.plan_id
+       WHERE rs.avg_duration > 1000000
+       GROUP BY q.query_id, qt.query_text_id, qt.query_sql_text
+       ORDER BY total_execution_count DESC`,
+      "query_id bigint, query_text_id bigint, query_sql_text nvarchar(max), total_execution_count bigint"
+    ),
+    collect: (rows, metrics, host) => {
+      for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        const database = row[0];
+        const query_id = row[1];
+        const total_execution_count = +row[4];
+        metricsLog("Fetched most executed query", host, database, query_id, total_execution_count);
+        const labels = Object.assign({ host, database, query_id, query_text_id: row[2] }, queryTextPolicy.labels(host, database, query_id, row[3]));
+        metrics.mssql_total_execution_count.set(labels, total_execution_count);
+      }
+    },
   };
 
   const mssql_most_avg_time_query = {
     metrics: {
-      mssql_avg_duration: new client.Gauge({name: 'mssql_avg_duration_us', help: 'Average Query Duration in micro seconds', labelNames: ["database", "query_sql_text", "query_id"]}),
-    },
-    query: `SELECT TOP 100 avg(rs.avg_duration) AS avg_duration, max(qt.query_sql_text) AS query_sql_text, q.query_id, GETUTCDATE() AS CurrentUTCTime, max(rs.last_execution_time) AS last_execution_time
-FROM sys.query_store_query_text AS qt       
-JOIN sys.query_store_query AS q          
-    ON qt.query_text_id = q.query_text_id              
-JOIN sys.query_store_plan AS p           
-    ON q.query_id = p.query_id        
-JOIN sys.query_store_runtime_stats AS rs          
-    ON p.plan_id = rs.plan_id              
-WHERE rs.last_execution_time > DATEADD(hour, -1, GETUTCDATE()) and rs.avg_duration > 1000000
-GROUP BY q.query_id      
-ORDER BY avg(rs.avg_duration) DESC`,
-    collect: function (rows, metrics, config, host) {
-      let dbname = config.connect.options.database;
+      mssql_avg_duration: new client.Gauge({
+        name: "mssql_avg_duration_us",
+        help: "Average duration in microseconds of the queries averaging more than one second during the last hour, 100 slowest queries by database",
+        labelNames: queryLabelNames,
+        registers,
+      }),
+    },
+    // no rows without Query Store enabled databases
+    allowEmpty: true,
+    supports: { version: "13.0.0.0" },
+    perDatabase: true,
+    query: queryStore(
+      `SELECT TOP 100 DB_NAME(), q.query_id, MAX(qt.query_sql_text), AVG(rs.avg_duration)
+       FROM sys.query_store_query_text AS qt
+                JOIN sys.query_store_query AS q ON qt.query_text_id = q.query_text_id
+                JOIN sys.query_store_plan AS p ON q.query_id = p.query_id
+                JOIN sys.query_store_runtime_stats AS rs ON p.plan_id = rs.plan_id
+       WHERE rs.last_execution_time > DATEADD(hour, -1, GETUTCDATE())
+         AND rs.avg_duration > 1000000
+       GROUP BY q.query_id
+       ORDER BY AVG(rs.avg_duration) DESC`,
+      "query_id bigint, query_sql_text nvarchar(max), avg_duration float"
+    ),
+    collect: (rows, metrics, host) => {
       for (let i = 0; i < rows.length; i++) {
         const row = rows[i];
-        const mssql_avg_duration = row[0];
-        const mssql_query_sql_text = row[1];
-        const mssql_query_id = row[2];
-        metricsLog("Most Average Time Query -", dbname);
-        metrics.mssql_avg_duration.set({host, database: dbname, query_sql_text: mssql_query_sql_text, query_id: mssql_query_id},mssql_avg_duration);
+        const database = row[0];
+        const query_id = row[1];
+        const avg_duration = row[3];
+        metricsLog("Fetched slowest query", host, database, query_id, avg_duration);
+        metrics.mssql_avg_duration.set(Object.assign({ host, database, query_id }, queryTextPolicy.labels(host, database, query_id, row[2])), avg_duration);
       }
-    }
+    },
   };
 
   const mssql_most_avg_io_query = {
     metrics: {
-      mssql_avg_physical_io_reads: new client.Gauge({name: 'mssql_avg_physical_io_reads', help: 'Average Physical IO Reads', labelNames: ["database", "query_sql_text", "query_id"]}),
-      mssql_avg_rowcount : new client.Gauge({name: 'mssql_avg_rowcount', help: 'Average Row Count', labelNames: ["database", "query_sql_text", "query_id"]}),
-      mssql_count_executions : new client.Gauge({name: 'mssql_count_executions', help: 'Cont Executions', labelNames: ["database", "query_sql_text", "query_id"]}),
-    },
-    query: `SELECT TOP 10 avg(rs.avg_physical_io_reads) as avg_physical_io_reads, max(qt.query_sql_text) as query_sql_text, q.query_id, avg(rs.avg_rowcount) as avg_rowcount, sum(rs.count_executions) as count_executions
-FROM sys.query_store_query_text AS qt
-JOIN sys.query_store_query AS q
-    ON qt.query_text_id = q.query_text_id
-JOIN sys.query_store_plan AS p
-    ON q.query_id = p.query_id
-JOIN sys.query_store_runtime_stats AS rs
-    ON p.plan_id = rs.plan_id
-JOIN sys.query_store_runtime_stats_interval AS rsi 
-    ON rsi.runtime_stats_interval_id = rs.runtime_stats_interval_id
-WHERE rsi.start_time >= DATEADD(hour, -1, GETUTCDATE()) and rs.avg_duration > 1000000
-GROUP BY q.query_id
-ORDER BY avg(rs.avg_physical_io_reads) DESC`,
-    collect: function (rows, metrics, config, host) {
-      let dbname = config.connect.options.database;
+      mssql_avg_physical_io_reads: new client.Gauge({
+        name: "mssql_avg_physical_io_reads",
+        help: "Average number of physical reads of the queries averaging more than one second during the last hour, 10 most reading queries by database",
+        labelNames: queryLabelNames,
+        registers,
+      }),
+      mssql_avg_rowcount: new client.Gauge({
+        name: "mssql_avg_rowcount",
+        help: "Average number of rows returned by the queries averaging more than one second during the last hour, 10 most reading queries by database",
+        labelNames: queryLabelNames,
+        registers,
+      }),
+      mssql_count_executions: new client.Gauge({
+        name: "mssql_count_executions",
+        help: "Number of executions of the queries averaging more than one second during the last hour, 10 most reading queries by database",
+        labelNames: queryLabelNames,
+        registers,
+      }),
+    },
+    // no rows without Query Store enabled databases
+    allowEmpty: true,
+    supports: { version: "13.0.0.0" },
+    perDatabase: true,
+    query: queryStore(
+      `SELECT TOP 10 DB_NAME(), q.query_id, MAX(qt.query_sql_text), AVG(rs.avg_physical_io_reads), AVG(rs.avg_rowcount), SUM(rs.count_executions)
+       FROM sys.query_store_query_text AS qt
+                JOIN sys.query_store_query AS q ON qt.query_text_id = q.query_text_id
+                JOIN sys.query_store_plan AS p ON q.query_id = p.query_id
+                JOIN sys.query_store_runtime_stats AS rs ON p.plan_id = rs.plan_id
+                JOIN sys.query_store_runtime_stats_interval AS rsi ON rsi.runtime_stats_interval_id = rs.runtime_stats_interval_id
+       WHERE rsi.start_time >= DATEADD(hour, -1, GETUTCDATE())
+         AND rs.avg_duration > 1000000
+       GROUP BY q.query_id
+       ORDER BY AVG(rs.avg_physical_io_reads) DESC`,
+      "query_id bigint, query_sql_text nvarchar(max), avg_physical_io_reads float, avg_rowcount float, count_executions bigint"
+    ),
+    collect: (rows, metrics, host) => {
       for (let i = 0; i < rows.length; i++) {
         const row = rows[i];
-        const mssql_avg_physical_io_reads = row[0];
-        const mssql_query_sql_text = row[1];
-        const mssql_query_id = row[2];
-        const mssql_avg_rowcount = row[3];
-        const mssql_count_executions = row[4];
-        metricsLog("Most Average IO Query -", dbname);
-        metrics.mssql_avg_physical_io_reads.set({host, database: dbname, query_sql_text: mssql_query_sql_text, query_id: mssql_query_id},mssql_avg_physical_io_reads);
-        metrics.mssql_avg_rowcount.set({host, database: dbname, query_sql_text: mssql_query_sql_text, query_id: mssql_query_id},mssql_avg_rowcount);
-        metrics.mssql_count_executions.set({host, database: dbname, query_sql_text: mssql_query_sql_text, query_id: mssql_query_id},mssql_count_executions);
+        const database = row[0];
+        const query_id = row[1];
+        metricsLog("Fetched most reading query", host, database, query_id, "avg_physical_io_reads", row[3], "avg_rowcount", row[4], "count_executions", row[5]);
+        const labels = Object.assign({ host, database, query_id }, queryTextPolicy.labels(host, database, query_id, row[2]));
+        metrics.mssql_avg_physical_io_reads.set(labels, row[3]);
+        metrics.mssql_avg_rowcount.set(labels, row[4]);
+        metrics.mssql_count_executions.set(labels, +row[5]);
       }
-    }
+    },
   };
 
   const mssql_most_wait_query = {
     metrics: {
-      mssql_sum_total_wait_ms: new client.Gauge({name: 'mssql_sum_total_wait_ms', help: 'Total Wait ms', labelNames: ["database", "query_sql_text", "query_text_id", "query_id"]}),
-    },
-    query: `SELECT qt.query_sql_text, qt.query_text_id, st.sum_total_wait_ms,  q.query_id
-FROM sys.query_store_query q
-JOIN sys.query_store_query_text qt ON q.query_text_id = qt.query_text_id
-JOIN (
- SELECT TOP 50  p.query_id, sum(total_query_wait_time_ms) AS sum_total_wait_ms 
- FROM sys.query_store_wait_stats ws 
- JOIN sys.query_store_plan p ON ws.plan_id = p.plan_id 
- JOIN sys.query_store_query q ON p.query_id = q.query_id 
- JOIN sys.query_store_query_text qt ON q.query_text_id = qt.query_text_id 
- JOIN sys.query_store_runtime_stats AS rs ON p.plan_id = rs.plan_id 
- WHERE rs.avg_duration > 1000000 
- GROUP BY p.query_id 
- ORDER BY sum_total_wait_ms DESC) as st ON st.query_id = q.query_id`,
-    collect: function (rows, metrics, config, host) {
-      let dbname = config.connect.options.database;
+      mssql_sum_total_wait_ms: new client.Gauge({
+        name: "mssql_sum_total_wait_ms",
+        help: "Total wait time in milliseconds of the queries averaging more than one second, 50 most waiting queries by database",
+        labelNames: [...queryLabelNames, "query_text_id"],
+        registers,
+      }),
+    },
+    // no rows without Query Store enabled databases
+    allowEmpty: true,
+    // sys.query_store_wait_stats appeared with SQL Server 2017
+    supports: { version: "14.0.0.0" },
+    perDatabase: true,
+    query: queryStore(
+      `SELECT DB_NAME(), q.query_id, qt.query_text_id, qt.query_sql_text, st.sum_total_wait_ms
+       FROM sys.query_store_query q
+                JOIN sys.query_store_query_text qt ON q.query_text_id = qt.query_text_id
+                JOIN (SELECT TOP 50 p.query_id, SUM(ws.total_query_wait_time_ms) AS sum_total_wait_ms
+                      FROM sys.query_store_wait_stats ws
+                               JOIN sys.query_store_plan p ON ws.plan_id = p.plan_id
+                      WHERE EXISTS(SELECT 1 FROM sys.query_store_runtime_stats rs WHERE rs.plan_id = p.plan_id AND rs.avg_duration > 1000000)
+                      GROUP BY p.query_id
+                      ORDER BY sum_total_wait_ms DESC) AS st ON st.query_id = q.query_id`,
+      "query_id bigint, query_text_id bigint, query_sql_text nvarchar(max), sum_total_wait_ms bigint"
+    ),
+    collect: (rows, metrics, host) => {
       for (let i = 0; i < rows.length; i++) {
         const row = rows[i];
-        const mssql_query_sql_text = row[0];
-        const mssql_query_text_id = row[1];
-        const mssql_sum_total_wait_ms = row[2];
-        const mssql_query_id = row[3];
-        metricsLog("Most Wait Query -", dbname);
-        metrics.mssql_sum_total_wait_ms.set({host, database: dbname, query_sql_text: mssql_query_sql_text, query_text_id: mssql_query_text_id, query_id: mssql_query_id},mssql_sum_total_wait_ms);
+        const database = row[0];
+        const query_id = row[1];
+        const sum_total_wait_ms = +row[4];
+        metricsLog("Fetched most waiting query", host, database, query_id, sum_total_wait_ms);
+        const labels = Object.assign({ host, database, query_id, query_text_id: row[2] }, queryTextPolicy.labels(host, database, query_id, row[3]));
+        metrics.mssql_sum_total_wait_ms.set(labels, sum_total_wait_ms);
       }
-    }
+    },
   };
 
   return {
@@ -705,12 +1382,18 @@ JOIN (
     mssql_instance_local_time,
     mssql_connections,
     mssql_client_connections,
+    mssql_azure_connections,
+    mssql_azure_client_connections,
     mssql_deadlocks,
     mssql_user_errors,
     mssql_kill_connection_errors,
+    mssql_blocking,
+    mssql_requests,
     mssql_database_state,
     mssql_log_growths,
     mssql_database_filesize,
+    mssql_database_files,
+    mssql_database_log,
     mssql_buffer_manager,
     mssql_io_stall,
     mssql_batch_requests,
@@ -718,13 +1401,20 @@ JOIN (
     mssql_os_process_memory,
     mssql_os_sys_memory,
     mssql_db_memory,
+    mssql_tempdb,
+    mssql_version_store,
     mssql_volume_stats,
+    mssql_backups,
+    mssql_availability_replicas,
+    mssql_availability_databases,
+    mssql_agent_jobs,
     mssql_most_exec_query,
     mssql_most_avg_io_query,
-    mssql_most_avg_time_query
+    mssql_most_avg_time_query,
+    mssql_most_wait_query,
   };
 }
 
 module.exports = {
-  getMetrics
+  getMetrics,
 };
@@ -0,0 +1,149 @@
+/**
+ * Generic collector of the sys.dm_os_performance_counters counters matching configurable patterns
+ * (performance_counters), computed according to their cntr_type
+ */
+const metricsLog = require("debug")("metrics");
+const client = require("prom-client");
+const { setCounter, patternRegExp } = require("./utils");
+
+// cntr_type values, see https://learn.microsoft.com/en-us/windows/win32/wmisdk/countertype-qualifier
+const PERF_COUNTER_LARGE_RAWCOUNT = 65792;
+const PERF_COUNTER_COUNTER = 272696320;
+const PERF_COUNTER_BULK_COUNT = 272696576;
+const PERF_LARGE_RAW_FRACTION = 537003264;
+const PERF_AVERAGE_BULK = 1073874176;
+const PERF_LARGE_RAW_BASE = 1073939712;
+
+/**
+ * Counters collected when performance_counters is not configured
+ */
+const DEFAULT_PERFORMANCE_COUNTERS = [
+  { object: "Buffer Manager", counter: "Buffer cache hit ratio" },
+  { object: "Latches", counter: "Latch Waits/sec" },
+  { object: "Latches", counter: "Average Latch Wait Time (ms)" },
+  { object: "Locks", counter: "Lock Waits/sec", instance: "_Total" },
+  { object: "Locks", counter: "Average Wait Time (ms)", instance: "_Total" },
+  { object: "SQL Statistics", counter: "SQL Compilations/sec" },
+  { object: "SQL Statistics", counter: "SQL Re-Compilations/sec" },
+];
+
+/**
+ * Key joining a fraction or average counter with its base counter: "Average Wait Time (ms)" is paired with
+ * "Average Wait Time Base", "Buffer cache hit ratio" with "Buffer cache hit ratio base"
+ */
+function baseKey(object, counter, instance) {
+  const name = counter
+    .toLowerCase()
+    .replace(/\(ms\)/g, "")
+    .replace(/ base$/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return `${object}\u0000${name}\u0000${instance}`;
+}
+
+/**
+ * Creates the performance counters collector with its metrics registered in the given registry
+ *
+ * @param patterns {Array<Object>} counters to collect: [{object, counter, instance}], * matching any characters, the
+ * instance defaulting to all instances. The object is matched without its SQLServer: or MSSQL$<instance>: prefix.
+ * @param registry {client.Registry} registry receiving the metrics
+ *
+ * @returns {Object} collectors by name: {metrics, query, collect: function(rows, metrics, host)}
+ */
+function getPerformanceCounters(patterns = DEFAULT_PERFORMANCE_COUNTERS, registry = client.register) {
+  const registers = [registry];
+  const labelNames = ["host", "object", "counter", "instance"];
+  const matchers = patterns.map(({ object, counter, instance }) => ({
+    object: patternRegExp(object),
+    counter: patternRegExp(counter),
+    instance: patternRegExp(instance || "*"),
+  }));
+  const matches = (labels) => matchers.some((m) => m.object.test(labels.object) && m.counter.test(labels.counter) && m.instance.test(labels.instance));
+  // averages are computed between two scrapes from the previous value and base of each counter
+  const previous = new Map();
+
+  return {
+    mssql_performance_counters: {
+      metrics: {
+        mssql_performance_counter: new client.Gauge({
+          name: "mssql_performance_counter",
+          help: "Current value of a performance counter (cntr_type 65792)",
+          labelNames,
+          registers,
+        }),
+        mssql_performance_counter_total: new client.Counter({
+          name: "mssql_performance_counter_total",
+          help: "Cumulative value of a per second performance counter since last restart (cntr_type 272696576)",
+          labelNames,
+          registers,
+        }),
+        mssql_performance_counter_ratio: new client.Gauge({
+          name: "mssql_performance_counter_ratio",
+          help: "Ratio of a performance counter to its base counter (cntr_type 537003264)",
+          labelNames,
+          registers,
+        }),
+        mssql_performance_counter_average: new client.Gauge({
+          name: "mssql_performance_counter_average",
+          help: "Average of a performance counter per operation of its base counter since the previous scrape (cntr_type 1073874176)",
+          labelNames,
+          registers,
+        }),
+      },
+      query: `SELECT rtrim(object_name), rtrim(counter_name), rtrim(instance_name), cntr_value, cntr_type
+              FROM sys.dm_os_performance_counters`,
+      collect: (rows, metrics, host) => {
+        const counters = [];
+        const bases = new Map();
+        for (const row of rows) {
+          const labels = { host, object: row[0].substring(row[0].indexOf(":") + 1), counter: row[1], instance: row[2] };
+          const value = Number(row[3]);
+          const type = row[4];
+          if (type === PERF_LARGE_RAW_BASE) {
+            bases.set(baseKey(labels.object, labels.counter, labels.instance), value);
+          } else if (matches(labels)) {
+            counters.push({ labels, value, type });
+          }
+        }
+        for (const { labels, value, type } of counters) {
+          const key = baseKey(labels.object, labels.counter, labels.instance);
+          const base = bases.get(key);
+          metricsLog("Fetched performance counter", labels, type, value, base);
+          switch (type) {
+            case PERF_COUNTER_LARGE_RAWCOUNT:
+              metrics.mssql_performance_counter.set(labels, value);
+              break;
+            case PERF_COUNTER_COUNTER:
+            case PERF_COUNTER_BULK_COUNT:
+              setCounter(metrics.mssql_performance_counter_total, labels, value);
+              break;
+            case PERF_LARGE_RAW_FRACTION:
+              if (base > 0) {
+                metrics.mssql_performance_counter_ratio.set(labels, value / base);
+              }
+              break;
+            case PERF_AVERAGE_BULK: {
+              if (base === undefined) {
+                break;
+              }
+              const last = previous.get(key);
+              previous.set(key, { value, base });
+              // nothing to compare with on the first scrape, nor after a restart or without any operation since
+              if (last && base > last.base && value >= last.value) {
+                metrics.mssql_performance_counter_average.set(labels, (value - last.value) / (base - last.base));
+              }
+              break;
+            }
+            default:
+              metricsLog("Skipping performance counter of unsupported type", labels, type);
+          }
+        }
+      },
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_PERFORMANCE_COUNTERS,
+  getPerformanceCounters,
+};
@@ -0,0 +1,246 @@
+/**
+ * Long-lived connection pool per server with lazy reconnect and backoff
+ */
+const dbLog = require("debug")("db");
+const fs = require("fs");
+const sql = require("mssql");
+const { readSecretFile, redact } = require("./secrets");
+
+const HEALTH_CHECK_QUERY = "SELECT 1";
+// a health check exceeding it fails, whatever the request timeout of the pool
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+const MIN_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60000;
+
+/**
+ * Delay before the next connection attempt after a number of consecutive failures (exponential, capped)
+ *
+ * @param failures {number} consecutive failed attempts
+ *
+ * @returns {number} milliseconds
+ */
+function backoff(failures) {
+  return Math.min(MIN_BACKOFF_MS * Math.pow(2, failures - 1), MAX_BACKOFF_MS);
+}
+
+/**
+ * Checks that a pool still answers within HEALTH_CHECK_TIMEOUT_MS
+ *
+ * @param pool {sql.ConnectionPool} connected pool
+ *
+ * @returns Promise rejected when the pool fails or does not answer in time
+ */
+function healthCheck(pool) {
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Health check timed out after ${HEALTH_CHECK_TIMEOUT_MS}ms`)), HEALTH_CHECK_TIMEOUT_MS);
+  });
+  return Promise.race([pool.request().query(HEALTH_CHECK_QUERY), timedOut]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Secrets a connection config can read from files, by the setting holding the path of the file: function returning
+ * the connection config using the content of the file
+ */
+const SECRET_FILES = {
+  passwordFile: (config, password) => (config.authentication ? withAuthenticationOptions(config, { password }) : Object.assign({}, config, { password })),
+  clientSecretFile: (config, clientSecret) => withAuthenticationOptions(config, { clientSecret }),
+  tokenFile: (config, token) => Object.assign({}, config, { authentication: { type: "azure-active-directory-access-token", options: { token } } }),
+};
+
+function withAuthenticationOptions(config, options) {
+  const authentication = Object.assign({}, config.authentication, { options: Object.assign({}, config.authentication.options, options) });
+  return Object.assign({}, config, { authentication });
+}
+
+/**
+ * Modification times of the secret files of a connection config, to find out when one of them is rotated
+ *
+ * @returns {string} modification times, empty without secret files
+ */
+function secretFilesTime(connectionConfig) {
+  return Object.keys(SECRET_FILES)
+    .filter((setting) => connectionConfig[setting])
+    .map((setting) => fs.statSync(connectionConfig[setting]).mtimeMs)
+    .join(",");
+}
+
+/**
+ * Connection config using the current content of its secret files, which an external process may rotate (e.g.
+ * Kubernetes secrets or a workload identity sidecar refreshing the access token)
+ */
+function withSecretFiles(connectionConfig) {
+  let config = connectionConfig;
+  for (const [setting, apply] of Object.entries(SECRET_FILES)) {
+    if (connectionConfig[setting]) {
+      config = apply(config, readSecretFile(connectionConfig[setting]));
+    }
+  }
+  return config;
+}
+
+/**
+ * Creates a lazily connected pool for a server. Nothing is opened until the first acquire(). A pool reading its
+ * password, client secret or access token from a file reconnects when the file changes, so that the rotated secret
+ * takes effect without restarting the exporter.
+ *
+ * @param connectionConfig {Object} mssql connection config
+ *
+ * @returns {{acquire: function(): Promise<sql.ConnectionPool>, close: function(): Promise}}
+ */
+function createPool(connectionConfig) {
+  const server = connectionConfig.server;
+  let pool = null;
+  let connecting = null;
+  let failures = 0;
+  let retryAt = 0;
+  let secretsTime = "";
+
+  async function connect() {
+    dbLog(`Connecting to '${server}'`);
+    let candidate;
+    try {
+      secretsTime = secretFilesTime(connectionConfig);
+      candidate = new sql.ConnectionPool(withSecretFiles(connectionConfig));
+    } catch (error) {
+      failures++;
+      retryAt = Date.now() + backoff(failures);
+      dbLog(`Unable to read the secret files of '${server}'`, redact(error));
+      throw error;
+    }
+    candidate.on("error", (error) => {
+      dbLog(`Pool error on '${server}'`, redact(error));
+    });
+    try {
+      await candidate.connect();
+    } catch (error) {
+      failures++;
+      retryAt = Date.now() + backoff(failures);
+      dbLog(`Connection to '${server}' failed (attempt ${failures}), next attempt in ${retryAt - Date.now()}ms`);
+      candidate.close().catch(() => {});
+      throw error;
+    }
+    dbLog(`Connected to '${server}'`);
+    pool = candidate;
+    failures = 0;
+    retryAt = 0;
+    return pool;
+  }
+
+  /**
+   * Closes the given pool unless it was already replaced, e.g. by a concurrent acquire() which reconnected meanwhile
+   */
+  async function discard(stale) {
+    if (!stale || pool !== stale) {
+      return;
+    }
+    pool = null;
+    await stale.close().catch((error) => dbLog(`Error closing pool on '${server}'`, redact(error)));
+  }
+
+  /**
+   * Returns a health-checked pool, reconnecting if the current one is gone and the backoff delay has elapsed.
+   *
+   * @returns Promise<sql.ConnectionPool>
+   */
+  async function acquire() {
+    const current = pool;
+    if (current && secretFilesChanged()) {
+      dbLog(`Secret files of '${server}' changed, reconnecting`);
+      await discard(current);
+    } else if (current && !current.connected) {
+      dbLog(`Pool of '${server}' is no longer connected, reconnecting`);
+      await discard(current);
+    } else if (current) {
+      try {
+        await healthCheck(current);
+        return current;
+      } catch (error) {
+        dbLog(`Health check failed on '${server}'`, redact(error));
+        await discard(current);
+      }
+    }
+    // another acquire() reconnected meanwhile
+    if (pool && pool !== current) {
+      return pool;
+    }
+    if (Date.now() < retryAt) {
+      throw new Error(`Server '${server}' unavailable, next connection attempt in ${retryAt - Date.now()}ms`);
+    }
+    if (!connecting) {
+      connecting = connect().finally(() => {
+        connecting = null;
+      });
+    }
+    return connecting;
+  }
+
+  function secretFilesChanged() {
+    try {
+      return secretFilesTime(connectionConfig) !== secretsTime;
+    } catch (error) {
+      // keep the current pool while the file is being replaced
+      return false;
+    }
+  }
+
+  async function close() {
+    if (connecting) {
+      await connecting.catch(() => {});
+    }
+    await discard(pool);
+  }
+
+  return {
+    acquire,
+    close,
+  };
+}
+
+/**
+ * Pools of the databases of an Azure SQL Database logical server, one per database since a connection cannot switch
+ * databases there. Each pool is created on the first acquire() of its database.
+ *
+ * @param connectionConfig {Object} mssql connection config of the server, the database is replaced by each pool
+ *
+ * @returns {{acquire: function(string): Promise<sql.ConnectionPool>, retain: function(Array<string>), close: function(): Promise}}
+ */
+function createDatabasePools(connectionConfig) {
+  const pools = new Map();
+
+  function acquire(database) {
+    if (!pools.has(database)) {
+      pools.set(database, createPool(Object.assign({}, connectionConfig, { database })));
+    }
+    return pools.get(database).acquire();
+  }
+
+  /**
+   * Closes the pools of the databases which no longer exist
+   */
+  function retain(databases) {
+    for (const [database, pool] of pools) {
+      if (!databases.includes(database)) {
+        dbLog(`Closing pool of dropped database '${database}' on '${connectionConfig.server}'`);
+        pools.delete(database);
+        pool.close();
+      }
+    }
+  }
+
+  async function close() {
+    await Promise.all([...pools.values()].map((pool) => pool.close()));
+    pools.clear();
+  }
+
+  return {
+    acquire,
+    retain,
+    close,
+  };
+}
+
+module.exports = {
+  createPool,
+  createDatabasePools,
+};
@@ -0,0 +1,51 @@
+/**
+ * Label policy of the query text of the Query Store collectors (query_text): full or truncated text, hash of the text
+ * or no label at all. The texts are kept by query_id for the /query-texts endpoint whatever the policy.
+ */
+const crypto = require("crypto");
+
+const QUERY_TEXT_MODES = ["label", "truncate", "hash", "none"];
+const DEFAULT_QUERY_TEXT = { mode: "truncate", length: 80 };
+// oldest texts are forgotten beyond this number of queries
+const QUERY_TEXTS_LIMIT = 10000;
+
+/**
+ * Creates the label policy of the query text
+ *
+ * @param queryText {Object} {mode: label (full text), truncate, hash (query_hash label) or none, length: of truncated texts}
+ * @param texts {Map} query texts by host, database and query_id, filled while collecting
+ *
+ * @returns {{labelNames: Array<string>, labels: function(host, database, queryId, text): Object}} names of the labels
+ * carrying the query text and function returning them for a query
+ */
+function createQueryTextPolicy(queryText = DEFAULT_QUERY_TEXT, texts = new Map()) {
+  const mode = queryText.mode || DEFAULT_QUERY_TEXT.mode;
+  const length = queryText.length || DEFAULT_QUERY_TEXT.length;
+  return {
+    labelNames: { label: ["query_sql_text"], truncate: ["query_sql_text"], hash: ["query_hash"], none: [] }[mode],
+    labels: (host, database, queryId, text) => {
+      text = text === null ? "" : String(text);
+      const key = `${host}\u0000${database}\u0000${queryId}`;
+      texts.delete(key);
+      texts.set(key, { host, database, query_id: String(queryId), query_text: text });
+      if (texts.size > QUERY_TEXTS_LIMIT) {
+        texts.delete(texts.keys().next().value);
+      }
+      switch (mode) {
+        case "label":
+          return { query_sql_text: text };
+        case "truncate":
+          return { query_sql_text: text.length > length ? `${text.substring(0, length)}...` : text };
+        case "hash":
+          return { query_hash: crypto.createHash("sha1").update(text).digest("hex").substring(0, 16) };
+        default:
+          return {};
+      }
+    },
+  };
+}
+
+module.exports = {
+  QUERY_TEXT_MODES,
+  createQueryTextPolicy,
+};
@@ -0,0 +1,547 @@
+/**
+ * Scraping of targets: runs the collectors of a target on its pool within the scrape deadline, and refreshes the
+ * collectors with an interval in the background
+ */
+const appLog = require("debug")("app");
+const queriesLog = require("debug")("queries");
+const { resetMetric, removeSeries, limitSeries } = require("./utils");
+const { serverInfo, unsupportedReason } = require("./server-info");
+const { redact } = require("./secrets");
+
+const TIMED_OUT = Symbol("timed out");
+// databases of an Azure SQL Database logical server, as seen from its master database
+const DATABASES_QUERY = "SELECT name FROM sys.databases WHERE name <> 'master' AND state = 0 ORDER BY name";
+// longest time between two checks of the collectors to refresh
+const REFRESH_PERIOD = 60 * 1000;
+
+/**
+ * Deadline of a scrape: the scrape timeout sent by Prometheus in the X-Prometheus-Scrape-Timeout-Seconds header minus
+ * an offset (to leave time to send the response), capped by the configured scrape timeout.
+ *
+ * @param timeouts {Object} target timeouts in ms: {scrape, scrapeOffset}
+ * @param header {string} value of the X-Prometheus-Scrape-Timeout-Seconds header, if any
+ *
+ * @returns {number} deadline in ms since epoch (Infinity when there is none)
+ */
+function scrapeDeadline(timeouts, header) {
+  let budget = timeouts.scrape;
+  const seconds = parseFloat(header);
+  if (seconds > 0) {
+    budget = Math.min(budget, seconds * 1000 - timeouts.scrapeOffset);
+  }
+  return Date.now() + budget;
+}
+
+/**
+ * Races a promise against a timer
+ *
+ * @returns Promise resolving to the promise value or TIMED_OUT
+ */
+function withTimeout(promise, timeout) {
+  if (timeout === Infinity) {
+    return promise;
+  }
+  let timer;
+  const timedOut = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(TIMED_OUT), Math.max(timeout, 0));
+  });
+  return Promise.race([promise, timedOut]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Executes the query of a collector. The query is cancelled when it exceeds its timeout.
+ *
+ * @param connection {sql.ConnectionPool} database connection
+ * @param collector {Object} single metric: {query: string}
+ * @param name {string} name of collector variable
+ * @param timeout {number} query timeout in ms
+ *
+ * @returns Promise of {outcome, recordset}: outcome is "success" (with the recordset), "query" (query error) or
+ * "timeout"
+ */
+async function execute(connection, collector, name, timeout) {
+  if (timeout <= 0) {
+    console.error(`Metric '${name}' skipped, scrape deadline reached`);
+    return { outcome: "timeout" };
+  }
+  queriesLog(`Executing metric '${name}' query: ${collector.query}`);
+  const request = connection.request();
+  let result;
+  try {
+    result = await withTimeout(request.query(collector.query), timeout);
+  } catch (error) {
+    console.error(`Error executing metric '${name}' SQL query`, collector.query, redact(error));
+    return { outcome: "query" };
+  }
+  if (result === TIMED_OUT) {
+    request.cancel();
+    console.error(`Metric '${name}' SQL query cancelled after ${timeout}ms`, collector.query);
+    return { outcome: "timeout" };
+  }
+  return { outcome: "success", recordset: result.recordset };
+}
+
+/**
+ * Key of the rows refreshed for a collector with an interval: the database of the connection, which survives
+ * reconnections
+ */
+function refreshKey(connection) {
+  return connection.config.database || "";
+}
+
+/**
+ * Executes the query of a collector and hands its rows over to the collector. The query of the collectors with an
+ * interval never runs during a scrape: their rows are those of the last successful refresh() and their outcome is
+ * the one of the last refresh attempt.
+ *
+ * @param connection {sql.ConnectionPool} database connection
+ * @param collector {Object} single metric: {query: string, collect: function(rows, metric), allowEmpty: boolean,
+ * interval: number (ms)}
+ * @param name {string} name of collector variable
+ * @param timeout {number} query timeout in ms
+ *
+ * @returns Promise of {outcome, rows}: outcome is "success", "empty", "query" (query error), "parse" (collect error)
+ * or "timeout", rows the number of rows returned
+ */
+async function measure(connection, collector, name, timeout) {
+  let outcome;
+  let recordset;
+  if (collector.interval) {
+    const refreshed = (collector.refreshed && collector.refreshed.get(refreshKey(connection))) || {};
+    outcome = refreshed.outcome || "success";
+    recordset = refreshed.recordset;
+    if (!recordset) {
+      queriesLog(`No rows of metric '${name}' refreshed yet`);
+      return { outcome, rows: 0 };
+    }
+    queriesLog(`Replaying rows of metric '${name}' refreshed at ${new Date(refreshed.succeeded).toISOString()}`);
+  } else {
+    const result = await execute(connection, collector, name, timeout);
+    if (result.outcome !== "success") {
+      return { outcome: result.outcome, rows: 0 };
+    }
+    outcome = result.outcome;
+    recordset = result.recordset;
+  }
+  const rows = recordset.length;
+  if (rows === 0 && collector.allowEmpty) {
+    queriesLog(`No results executing metric '${name}' SQL query`);
+    return { outcome, rows };
+  }
+  if (rows === 0) {
+    console.error(`No results executing metric '${name}' SQL query`, collector.query);
+    return { outcome: "empty", rows };
+  }
+  try {
+    collector.collect(recordset, collector.metrics, connection.config.server);
+  } catch (error) {
+    console.error(`Error processing metric '${name}' data`, collector.query, redact(JSON.stringify(recordset)), redact(error));
+    return { outcome: "parse", rows };
+  }
+  return { outcome, rows };
+}
+
+/**
+ * Executes the query of a collector with an interval when its last attempt on the database of the connection is
+ * older than the interval, and keeps its rows for the scrapes. The time of the attempt is recorded whatever its
+ * outcome, so that a failing query is not retried before the interval elapses. The rows of the last success are
+ * kept until the next one.
+ *
+ * @param connection {sql.ConnectionPool} database connection
+ * @param collector {Object} collector with an interval
+ * @param name {string} name of collector variable
+ * @param timeout {number} query timeout in ms
+ *
+ * @returns Promise of {outcome, rows} of the attempt (of the previous attempt when not due)
+ */
+async function refreshRows(connection, collector, name, timeout) {
+  collector.refreshed = collector.refreshed || new Map();
+  const key = refreshKey(connection);
+  const previous = collector.refreshed.get(key);
+  if (previous && Date.now() - previous.time < collector.interval) {
+    return { outcome: previous.outcome || "success", rows: 0 };
+  }
+  const attempt = Object.assign({}, previous, { time: Date.now() });
+  collector.refreshed.set(key, attempt);
+  const result = await execute(connection, collector, name, timeout);
+  attempt.outcome = result.outcome;
+  if (result.outcome !== "success") {
+    return { outcome: result.outcome, rows: 0 };
+  }
+  attempt.recordset = result.recordset;
+  attempt.succeeded = attempt.time;
+  return { outcome: result.outcome, rows: result.recordset.length };
+}
+
+/**
+ * Function that collects from an active server.
+ *
+ * @param connection database connection
+ * @param entries collectors by name
+ * @param timeouts target timeouts in ms: {query, collectors}
+ * @param deadline scrape deadline in ms since epoch
+ * @param run runs a collector (measure() or refreshRows())
+ *
+ * @returns Promise of the result of each collector by name: {outcome, rows, duration (seconds)}
+ */
+async function collect(connection, entries, timeouts, deadline, run = measure) {
+  const names = Object.keys(entries);
+  const results = await Promise.all(
+    names.map(async (name) => {
+      const timeout = Math.min(timeouts.collectors[name] || timeouts.query, deadline - Date.now());
+      const started = process.hrtime();
+      const result = await run(connection, entries[name], name, timeout);
+      const [seconds, nanoseconds] = process.hrtime(started);
+      result.duration = seconds + nanoseconds / 1e9;
+      return result;
+    })
+  );
+  const byName = {};
+  names.forEach((name, i) => (byName[name] = results[i]));
+  return byName;
+}
+
+/**
+ * Merges the results of collectors run on several connections: the rows are summed, the slowest duration and the
+ * first failure are kept
+ *
+ * @param results {Array<Object>} results of each connection, by collector name
+ *
+ * @returns {Object} results by collector name
+ */
+function mergeResults(results) {
+  const merged = {};
+  for (const byName of results) {
+    for (const [name, result] of Object.entries(byName)) {
+      const previous = merged[name];
+      merged[name] = !previous
+        ? result
+        : {
+            outcome: previous.outcome !== "success" ? previous.outcome : result.outcome,
+            rows: previous.rows + result.rows,
+            duration: Math.max(previous.duration, result.duration),
+          };
+    }
+  }
+  return merged;
+}
+
+/**
+ * Runs the collectors on every database of an Azure SQL Database logical server: the collectors flagged perDatabase
+ * (whose query only reads the database of the connection) run on a connection to each database, the others on the
+ * connection of the target.
+ *
+ * @param target {Object} scraped target, with its databasePools
+ * @param connection {sql.ConnectionPool} connection of the target
+ * @param entries {Object} collectors by name
+ * @param deadline {number} scrape deadline in ms since epoch
+ * @param timeouts {Object} timeouts in ms: {query, collectors}
+ * @param run {function} runs a collector (measure() or refreshRows())
+ *
+ * @returns Promise of the result of each collector by name: {outcome, rows, duration (seconds)}
+ */
+async function collectDatabases(target, connection, entries, deadline, timeouts, run) {
+  const perDatabase = {};
+  const perServer = {};
+  for (const [name, entry] of Object.entries(entries)) {
+    (entry.perDatabase ? perDatabase : perServer)[name] = entry;
+  }
+  let databases;
+  try {
+    const result = await withTimeout(connection.request().query(DATABASES_QUERY), Math.min(timeouts.query, deadline - Date.now()));
+    if (result === TIMED_OUT) {
+      throw new Error("Scrape deadline reached while listing the databases");
+    }
+    databases = result.recordset.map((row) => row[0]);
+  } catch (error) {
+    console.error(`Error listing the databases of target '${target.name}', collecting its own database only`, redact(error));
+    target.exporterMetrics.mssql_exporter_errors_total.inc({ host: target.host, collector: "", reason: "query" });
+    return collect(connection, entries, timeouts, deadline, run);
+  }
+  target.databasePools.retain(databases);
+  const results = await Promise.all([
+    collect(connection, perServer, timeouts, deadline, run),
+    ...databases.map(async (database) => {
+      let databaseConnection;
+      try {
+        databaseConnection = await withTimeout(target.databasePools.acquire(database), deadline - Date.now());
+        if (databaseConnection === TIMED_OUT) {
+          throw new Error("Scrape deadline reached while connecting");
+        }
+      } catch (error) {
+        appLog(`Error connecting to database '${database}' of target '${target.name}'`, redact(error));
+        target.exporterMetrics.mssql_exporter_errors_total.inc({ host: target.host, collector: "", reason: "connect" });
+        return {};
+      }
+      return collect(databaseConnection, perDatabase, timeouts, deadline, run);
+    }),
+  ]);
+  return mergeResults(results);
+}
+
+/**
+ * Runs the collectors on the connection of a target, or on each of its databases for an Azure SQL Database logical
+ * server with all_databases
+ *
+ * @param target {Object} scraped target
+ * @param connection {sql.ConnectionPool} connection of the target
+ * @param info {Object|null} server information returned by detectServer()
+ * @param entries {Object} collectors by name
+ * @param deadline {number} deadline in ms since epoch
+ * @param timeouts {Object} timeouts in ms: {query, collectors}
+ * @param run {function} runs a collector (measure() or refreshRows())
+ *
+ * @returns Promise of the result of each collector by name: {outcome, rows, duration (seconds)}
+ */
+function collectTarget(target, connection, info, entries, deadline, timeouts, run) {
+  return target.databasePools && info && info.engineEdition === "azure_sql_database"
+    ? collectDatabases(target, connection, entries, deadline, timeouts, run)
+    : collect(connection, entries, timeouts, deadline, run);
+}
+
+/**
+ * Version, edition and HADR state of the server of a target, null when it cannot be detected
+ *
+ * @param target {Object} scraped target
+ * @param connection {sql.ConnectionPool} database connection
+ * @param deadline {number} scrape deadline in ms since epoch
+ *
+ * @returns Promise of the server information returned by serverInfo() or null
+ */
+async function detectServer(target, connection, deadline) {
+  let info;
+  try {
+    info = await withTimeout(serverInfo(connection), Math.min(target.timeouts.query, deadline - Date.now()));
+  } catch (error) {
+    console.error(`Error detecting the version of target '${target.name}', skipping the collectors of specific editions`, redact(error));
+    return null;
+  }
+  if (info === TIMED_OUT) {
+    console.error(`Timeout detecting the version of target '${target.name}', skipping the collectors of specific editions`);
+    return null;
+  }
+  return info;
+}
+
+/**
+ * Collectors supported by the version and edition of the server. Each unsupported collector is only logged once per
+ * connection. When the server could not be identified, the collectors restricted to some editions are skipped until it
+ * is: the Azure and instance variants of a collector expose the same metrics, only one of them may run.
+ *
+ * @param target {Object} scraped target
+ * @param info {Object|null} server information returned by detectServer()
+ * @param entries {Object} collectors by name
+ *
+ * @returns {Object} supported collectors by name
+ */
+function supportedEntries(target, info, entries) {
+  const supported = {};
+  if (!info) {
+    for (const [name, entry] of Object.entries(entries)) {
+      if (!entry.supports || !entry.supports.editions) {
+        supported[name] = entry;
+      }
+    }
+    return supported;
+  }
+  for (const [name, entry] of Object.entries(entries)) {
+    const reason = unsupportedReason(entry, info);
+    if (!reason) {
+      supported[name] = entry;
+    } else if (!info.skipped.has(name)) {
+      info.skipped.add(name);
+      appLog(`Skipping collector '${name}' on target '${target.name}': ${reason}`);
+    }
+  }
+  return supported;
+}
+
+/**
+ * Drops the series exceeding the maximum number of series per metric of the target, keeping the first ones collected
+ */
+function enforceSeriesLimit(target, entries) {
+  if (target.maxSeries === Infinity) {
+    return;
+  }
+  for (const entry of Object.values(entries)) {
+    for (const metric of Object.values(entry.metrics)) {
+      const dropped = limitSeries(metric, target.maxSeries);
+      if (dropped > 0) {
+        appLog(`Dropped ${dropped} series of metric '${metric.name}' of target '${target.name}'`);
+        target.exporterMetrics.mssql_exporter_dropped_series_total.inc({ host: target.host, metric: metric.name }, dropped);
+      }
+    }
+  }
+}
+
+/**
+ * Records the results of the collectors in the exporter metrics of the target
+ */
+function report(target, results) {
+  const metrics = target.exporterMetrics;
+  const host = target.host;
+  for (const [collector, { outcome, rows, duration }] of Object.entries(results)) {
+    const labels = { host, collector };
+    metrics.mssql_exporter_collector_duration_seconds.set(labels, duration);
+    metrics.mssql_exporter_collector_success.set(labels, outcome === "success" ? 1 : 0);
+    metrics.mssql_exporter_collector_rows.set(labels, rows);
+    metrics.mssql_exporter_collector_timeout.set(labels, outcome === "timeout" ? 1 : 0);
+    if (outcome !== "success") {
+      metrics.mssql_exporter_errors_total.inc({ host, collector, reason: outcome });
+    }
+  }
+}
+
+/**
+ * Scrapes a single target: acquires its pool and runs the given collectors before the deadline. Only the series
+ * observed during this scrape are kept, so a failed target only reports mssql_up.
+ *
+ * @param target {Object} target to scrape
+ * @param entries {Object} collectors to run
+ * @param deadline {number} scrape deadline in ms since epoch
+ *
+ * @returns Promise of scrape (no value returned, connection errors are reported through mssql_up)
+ */
+async function scrapeTarget(target, entries, deadline) {
+  const mssqlUp = target.entries.mssql_up.metrics.mssql_up;
+  const metrics = target.exporterMetrics;
+  const host = target.host;
+  const started = process.hrtime();
+  metrics.mssql_exporter_scrapes_total.inc({ host });
+  for (const [collector, entry] of Object.entries(entries)) {
+    Object.values(entry.metrics).forEach(resetMetric);
+    for (const name of [
+      "mssql_exporter_collector_duration_seconds",
+      "mssql_exporter_collector_success",
+      "mssql_exporter_collector_rows",
+      "mssql_exporter_collector_timeout",
+    ]) {
+      removeSeries(metrics[name], { host, collector });
+    }
+  }
+  try {
+    let connection;
+    try {
+      connection = await withTimeout(target.pool.acquire(), deadline - Date.now());
+      if (connection === TIMED_OUT) {
+        throw new Error("Scrape deadline reached while connecting");
+      }
+    } catch (error) {
+      // error connecting or failed health check
+      appLog(`Error scraping target '${target.name}'`, redact(error));
+      mssqlUp.set({ host }, 0);
+      metrics.mssql_exporter_errors_total.inc({ host, collector: "", reason: "connect" });
+      return;
+    }
+    mssqlUp.set({ host }, 1);
+    const info = await detectServer(target, connection, deadline);
+    const supported = supportedEntries(target, info, entries);
+    const results = await collectTarget(target, connection, info, supported, deadline, target.timeouts, measure);
+    if (!info) {
+      Object.keys(entries)
+        .filter((name) => !supported[name])
+        .forEach((name) => (results[name] = { outcome: "detection", rows: 0, duration: 0 }));
+    }
+    enforceSeriesLimit(target, supported);
+    report(target, results);
+    const timedOut = Object.keys(results).filter((name) => results[name].outcome === "timeout");
+    if (timedOut.length > 0) {
+      appLog(`Partial scrape of target '${target.name}', timed out collectors: ${timedOut.join(", ")}`);
+    }
+  } finally {
+    const [seconds, nanoseconds] = process.hrtime(started);
+    metrics.mssql_exporter_scrape_duration_seconds.set({ host }, seconds + nanoseconds / 1e9);
+  }
+}
+
+/**
+ * Scrapes a target once its previous scrape is over, so that concurrent requests (e.g. /metrics and /probe) never
+ * see the series of a scrape in progress.
+ *
+ * @param target {Object} target to scrape
+ * @param entries {Object} collectors to run
+ * @param deadline {number} scrape deadline in ms since epoch
+ *
+ * @returns Promise of a snapshot of the target registry taken right after the scrape (same interface as a registry
+ * for mergeMetrics)
+ */
+function scrape(target, entries, deadline) {
+  const run = (target.scraping || Promise.resolve()).then(async () => {
+    await scrapeTarget(target, entries, deadline);
+    const snapshot = target.registry.getMetricsAsJSON();
+    return { getMetricsAsJSON: () => snapshot };
+  });
+  target.scraping = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Refreshes the rows of the given collectors with an interval on a target, outside of the scrapes: each query runs
+ * with the timeout of its collector, when its last attempt is older than its interval. The queries run on the
+ * refreshPools of the target when it has some, whose driver timeout fits these longer timeouts.
+ *
+ * @param target {Object} target to refresh
+ * @param entries {Object} collectors with an interval by name
+ *
+ * @returns Promise of the refresh (no value returned, errors are logged)
+ */
+async function refresh(target, entries) {
+  const background = Object.assign({}, target, target.refreshPools);
+  let connection;
+  try {
+    connection = await withTimeout(background.pool.acquire(), target.timeouts.query);
+    if (connection === TIMED_OUT) {
+      throw new Error(`No connection after ${target.timeouts.query}ms`);
+    }
+  } catch (error) {
+    appLog(`Error connecting to target '${target.name}' to refresh its collectors`, redact(error));
+    return;
+  }
+  const info = await detectServer(background, connection, Infinity);
+  const supported = supportedEntries(background, info, entries);
+  const timeouts = { query: target.timeouts.query, collectors: {} };
+  Object.entries(supported).forEach(([name, entry]) => (timeouts.collectors[name] = entry.timeout));
+  await collectTarget(background, connection, info, supported, Infinity, timeouts, refreshRows);
+}
+
+/**
+ * Refreshes in the background the collectors of a target which have an interval. Whether they are due is checked
+ * every minute (or every interval when shorter) once the previous refresh is over, so that a refresh which could not
+ * connect is retried soon.
+ *
+ * @param target {Object} target to refresh
+ *
+ * @returns {function} stops the refreshes
+ */
+function startRefresh(target) {
+  const entries = {};
+  Object.entries(target.entries).forEach(([name, entry]) => entry.interval && (entries[name] = entry));
+  const intervals = Object.values(entries).map((entry) => entry.interval);
+  if (intervals.length === 0) {
+    return () => {};
+  }
+  const period = Math.min(REFRESH_PERIOD, ...intervals);
+  let timer;
+  let stopped = false;
+  const run = () =>
+    refresh(target, entries)
+      .catch((error) => appLog(`Error refreshing the collectors of target '${target.name}'`, redact(error)))
+      .then(() => {
+        if (!stopped) {
+          timer = setTimeout(run, period);
+          timer.unref();
+        }
+      });
+  run();
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+module.exports = {
+  scrapeDeadline,
+  scrape,
+  refresh,
+  startRefresh,
+};
@@ -0,0 +1,61 @@
+/**
+ * Secrets: reading of the password, client secret and access token files (Docker and Kubernetes secrets) and
+ * redaction of the credentials in the logs and error messages
+ */
+const fs = require("fs");
+
+const REDACTED = "***";
+// password and secret attributes of connection strings, up to the next ; (or the closing brace of a {quoted} value)
+const CONNECTION_STRING_SECRET_PATTERN = /((?:password|pwd|client ?secret)\s*=\s*)(\{(?:[^}]|\}\})*\}|[^;]*)/gi;
+// shorter values would redact too much of the messages
+const MIN_SECRET_LENGTH = 4;
+
+// every secret value read from the configuration or from a file, masked wherever it appears in a message
+const secrets = new Set();
+
+/**
+ * Registers a secret so that redact() masks it
+ *
+ * @param value {string} password, client secret or access token
+ */
+function addSecret(value) {
+  if (typeof value === "string" && value.length >= MIN_SECRET_LENGTH) {
+    secrets.add(value);
+  }
+}
+
+/**
+ * Reads a secret file, without its trailing line break, and registers its content as a secret
+ *
+ * @param file {string} path of the file
+ *
+ * @returns {string} secret
+ */
+function readSecretFile(file) {
+  const value = fs.readFileSync(file, "utf8").replace(/\r?\n$/, "");
+  addSecret(value);
+  return value;
+}
+
+/**
+ * Text of a log or error message without credentials: the passwords of connection strings and the registered secrets
+ * are replaced with ***
+ *
+ * @param value {*} message, error (its stack is used) or any value
+ *
+ * @returns {string} redacted text
+ */
+function redact(value) {
+  let text = value instanceof Error ? value.stack || String(value) : String(value);
+  text = text.replace(CONNECTION_STRING_SECRET_PATTERN, `$1${REDACTED}`);
+  for (const secret of secrets) {
+    text = text.split(secret).join(REDACTED);
+  }
+  return text;
+}
+
+module.exports = {
+  addSecret,
+  readSecretFile,
+  redact,
+};
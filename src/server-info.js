@@ -0,0 +1,121 @@
+/**
+ * Detection of the product version, engine edition and HADR state of a server, so that the collectors which are not
+ * supported by a server are skipped instead of failing at every scrape
+ */
+const dbLog = require("debug")("db");
+const { productVersionParse } = require("./utils");
+
+/**
+ * Names of the values of SERVERPROPERTY('EngineEdition')
+ */
+const ENGINE_EDITIONS = {
+  1: "personal",
+  2: "standard",
+  3: "enterprise",
+  4: "express",
+  5: "azure_sql_database",
+  6: "azure_synapse",
+  8: "managed_instance",
+  9: "azure_sql_edge",
+  11: "azure_synapse_serverless",
+};
+
+/**
+ * Editions exposing the instance level views (sys.master_files, sys.dm_os_*, msdb), unlike Azure SQL Database and Synapse
+ */
+const INSTANCE_EDITIONS = ["personal", "standard", "enterprise", "express", "managed_instance", "azure_sql_edge"];
+
+/**
+ * Editions running SQL Server Agent
+ */
+const AGENT_EDITIONS = ["personal", "standard", "enterprise", "managed_instance"];
+
+const SERVER_INFO_QUERY = `SELECT CONVERT(VARCHAR(128), SERVERPROPERTY('ProductVersion')),
+                                  CONVERT(INT, SERVERPROPERTY('EngineEdition')),
+                                  CONVERT(VARCHAR(128), SERVERPROPERTY('Edition')),
+                                  CONVERT(INT, ISNULL(SERVERPROPERTY('IsHadrEnabled'), 0))`;
+
+// detected information by connection pool, forgotten with the pool when it is replaced after a connection loss
+const detected = new WeakMap();
+
+/**
+ * Detects the version, edition and HADR state of a server once per connection pool
+ *
+ * @param connection {sql.ConnectionPool} database connection
+ *
+ * @returns Promise of {version: {major, minor, patch, build}, engineEdition: string, edition: string, hadr: boolean,
+ * skipped: Set<string>} where skipped receives the collectors already reported as unsupported
+ */
+function serverInfo(connection) {
+  if (!detected.has(connection)) {
+    const detection = connection
+      .request()
+      .query(SERVER_INFO_QUERY)
+      .then(({ recordset }) => {
+        const [version, engineEdition, edition, hadr] = recordset[0];
+        const info = {
+          version: productVersionParse(version),
+          engineEdition: ENGINE_EDITIONS[engineEdition] || String(engineEdition),
+          edition,
+          hadr: hadr === 1,
+          skipped: new Set(),
+        };
+        dbLog(
+          `Detected ${edition} (engine edition ${info.engineEdition}) version ${version} on '${connection.config.server}', HADR ${
+            info.hadr ? "enabled" : "disabled"
+          }`
+        );
+        return info;
+      });
+    // a failed detection is retried by the next scrape
+    detection.catch(() => detected.delete(connection));
+    detected.set(connection, detection);
+  }
+  return detected.get(connection);
+}
+
+/**
+ * Compares product versions
+ *
+ * @returns {number} negative when version is older than other, 0 when equal, positive when newer
+ */
+function compareVersions(version, other) {
+  return version.major - other.major || version.minor - other.minor || version.patch - other.patch || version.build - other.build;
+}
+
+/**
+ * Reason why a server does not support a collector, according to the requirements the collector declares in supports:
+ * {version: minimum product version (not checked on Azure SQL Database and Managed Instance, which always run the
+ * latest engine), editions: supported engine editions, hadr: true when it needs Always On availability groups}
+ *
+ * @param collector {Object} collector
+ * @param info {Object} server information returned by serverInfo()
+ *
+ * @returns {string|null} reason, null when the collector is supported
+ */
+function unsupportedReason(collector, info) {
+  const supports = collector.supports;
+  if (!supports) {
+    return null;
+  }
+  if (supports.editions && !supports.editions.includes(info.engineEdition)) {
+    return `not supported by engine edition ${info.engineEdition}`;
+  }
+  const versioned = !["azure_sql_database", "managed_instance"].includes(info.engineEdition);
+  if (supports.version && versioned && compareVersions(info.version, productVersionParse(supports.version)) < 0) {
+    const { major, minor, patch, build } = info.version;
+    return `requires version ${supports.version}, server runs ${major}.${minor}.${patch}.${build}`;
+  }
+  if (supports.hadr && !info.hadr) {
+    return "requires Always On availability groups, which are disabled";
+  }
+  return null;
+}
+
+module.exports = {
+  INSTANCE_EDITIONS,
+  AGENT_EDITIONS,
+  SERVER_INFO_QUERY,
+  serverInfo,
+  unsupportedReason,
+};
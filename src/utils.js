@@ -1,6 +1,9 @@
 /**
  * Utility functions
  */
+const client = require("prom-client");
+const { hashObject } = require("prom-client/lib/util");
+
 const productVersionParse = (version) => {
   const pattern = /^([0-9]+)\.([0-9]+)\.([0-9]+)\.([0-9]+)$/;
   const match = version.match(pattern);
@@ -13,6 +16,149 @@ const productVersionParse = (version) => {
   };
 };
 
+/**
+ * Renders several registries as a single exposition, merging metrics that share a name so that
+ * each HELP/TYPE header is only emitted once.
+ *
+ * @param sources {Array<{registry: client.Registry, labels: Object, metricNames: Set<string>}>} registries to render,
+ * the constant labels added to every one of their series and optionally the only metrics to render
+ *
+ * @returns {string} prometheus text exposition
+ */
+const mergeMetrics = (sources) => {
+  const merged = new Map();
+  for (const { registry, labels, metricNames } of sources) {
+    for (const metric of registry.getMetricsAsJSON()) {
+      if (metricNames && !metricNames.has(metric.name)) {
+        continue;
+      }
+      const values =
+        labels && Object.keys(labels).length > 0
+          ? metric.values.map((value) => Object.assign({}, value, { labels: Object.assign({}, value.labels, labels) }))
+          : metric.values;
+      const existing = merged.get(metric.name);
+      if (existing) {
+        existing.values = existing.values.concat(values);
+      } else {
+        merged.set(metric.name, Object.assign({}, metric, { values }));
+      }
+    }
+  }
+  const renderer = new client.Registry();
+  return Array.from(merged.values())
+    .map((item) => renderer.getMetricAsPrometheusString({ get: () => item }))
+    .join("\n");
+};
+
+/**
+ * Removes all the series of a gauge or counter (prom-client has no reset for them)
+ *
+ * @param metric {client.Gauge|client.Counter} metric
+ */
+const resetMetric = (metric) => {
+  metric.hashMap = {};
+};
+
+/**
+ * Removes a single series of a gauge or counter
+ *
+ * @param metric {client.Gauge|client.Counter} metric
+ * @param labels {Object} labels of the series
+ */
+const removeSeries = (metric, labels) => {
+  delete metric.hashMap[hashObject(labels)];
+};
+
+/**
+ * Keeps the first series of a gauge or counter up to a maximum number of series
+ *
+ * @param metric {client.Gauge|client.Counter} metric
+ * @param max {number} maximum number of series
+ *
+ * @returns {number} number of series dropped
+ */
+const limitSeries = (metric, max) => {
+  const keys = Object.keys(metric.hashMap);
+  keys.slice(max).forEach((key) => delete metric.hashMap[key]);
+  return Math.max(keys.length - max, 0);
+};
+
+/**
+ * Sets the absolute value of a counter series. prom-client counters can only be incremented, while the values read
+ * from the DMVs are already cumulative totals.
+ *
+ * @param counter {client.Counter} counter metric
+ * @param labels {Object} labels of the series
+ * @param value {number} cumulative value
+ */
+const setCounter = (counter, labels, value) => {
+  removeSeries(counter, labels);
+  counter.inc(labels, Number(value));
+};
+
+/**
+ * Sets the value of a gauge or counter series
+ *
+ * @param metric {client.Gauge|client.Counter} metric
+ * @param labels {Object} labels of the series
+ * @param value {number} value (cumulative value for a counter)
+ */
+const setValue = (metric, labels, value) => {
+  if (metric instanceof client.Counter) {
+    setCounter(metric, labels, value);
+  } else {
+    metric.set(labels, value);
+  }
+};
+
+/**
+ * Case insensitive regular expression of a pattern where * matches any characters
+ *
+ * @param pattern {string} pattern
+ *
+ * @returns {RegExp} regular expression matching the whole value
+ */
+const patternRegExp = (pattern) => {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+  return new RegExp(`^${escaped}$`, "i");
+};
+
+/**
+ * SQL batch running a query in each online database the login can access and returning all their rows at once. The
+ * query runs in the context of each database, so DB_NAME() and the database catalog views refer to that database.
+ * Azure SQL Database cannot switch databases, so only the current database is queried there.
+ *
+ * @param query {string} query run in each database
+ * @param columns {string} column definitions of the query results, e.g. "database_name sysname, size bigint"
+ * @param condition {string} optional additional condition on sys.databases selecting the databases
+ *
+ * @returns {string} SQL batch
+ */
+const forEachDatabase = (query, columns, condition) => `DECLARE @results TABLE (${columns});
+DECLARE @database sysname, @procedure nvarchar(300);
+DECLARE databases CURSOR LOCAL FAST_FORWARD FOR
+    SELECT name FROM sys.databases WHERE state = 0 AND HAS_DBACCESS(name) = 1${condition ? ` AND (${condition})` : ""}
+        AND (SERVERPROPERTY('EngineEdition') <> 5 OR name = DB_NAME());
+OPEN databases;
+FETCH NEXT FROM databases INTO @database;
+WHILE @@FETCH_STATUS = 0
+BEGIN
+    SET @procedure = QUOTENAME(@database) + N'.sys.sp_executesql';
+    INSERT INTO @results EXEC @procedure N'${query.replace(/'/g, "''")}';
+    FETCH NEXT FROM databases INTO @database;
+END;
+CLOSE databases;
+DEALLOCATE databases;
+SELECT * FROM @results`;
+
 module.exports = {
   productVersionParse,
+  mergeMetrics,
+  setCounter,
+  setValue,
+  patternRegExp,
+  forEachDatabase,
+  resetMetric,
+  removeSeries,
+  limitSeries,
 };
@@ -0,0 +1,161 @@
+/**
+ * Wait statistics collectors from sys.dm_os_wait_stats (sys.dm_db_wait_stats on Azure SQL Database), without the
+ * benign waits of idle background tasks (ignored_wait_types)
+ */
+const metricsLog = require("debug")("metrics");
+const client = require("prom-client");
+const { setCounter, patternRegExp } = require("./utils");
+const { INSTANCE_EDITIONS } = require("./server-info");
+
+/**
+ * Wait types ignored when ignored_wait_types is not configured: waits of background tasks which are idle most of the
+ * time and only hide the waits that matter
+ */
+const DEFAULT_IGNORED_WAIT_TYPES = [
+  "BROKER_*",
+  "CHECKPOINT_QUEUE",
+  "CHKPT",
+  "CLR_AUTO_EVENT",
+  "CLR_MANUAL_EVENT",
+  "CLR_SEMAPHORE",
+  "CXCONSUMER",
+  "DBMIRROR_*",
+  "DIRTY_PAGE_POLL",
+  "DISPATCHER_QUEUE_SEMAPHORE",
+  "EXECSYNC",
+  "FSAGENT",
+  "FT_IFTS_SCHEDULER_IDLE_WAIT",
+  "FT_IFTSHC_MUTEX",
+  "HADR_CLUSAPI_CALL",
+  "HADR_FILESTREAM_IOMGR_IOCOMPLETION",
+  "HADR_LOGCAPTURE_WAIT",
+  "HADR_NOTIFICATION_DEQUEUE",
+  "HADR_TIMER_TASK",
+  "HADR_WORK_QUEUE",
+  "KSOURCE_WAKEUP",
+  "LAZYWRITER_SLEEP",
+  "LOGMGR_QUEUE",
+  "MEMORY_ALLOCATION_EXT",
+  "ONDEMAND_TASK_QUEUE",
+  "PARALLEL_REDO_*",
+  "PREEMPTIVE_XE_GETTARGETSTATE",
+  "PWAIT_ALL_COMPONENTS_INITIALIZED",
+  "PWAIT_DIRECTLOGCONSUMER_GETNEXT",
+  "PWAIT_EXTENSIBILITY_CLEANUP_TASK",
+  "QDS_*",
+  "REQUEST_FOR_DEADLOCK_SEARCH",
+  "RESOURCE_QUEUE",
+  "SERVER_IDLE_CHECK",
+  "SLEEP_*",
+  "SNI_HTTP_ACCEPT",
+  "SOS_WORK_DISPATCHER",
+  "SP_SERVER_DIAGNOSTICS_SLEEP",
+  "SQLTRACE_BUFFER_FLUSH",
+  "SQLTRACE_INCREMENTAL_FLUSH_SLEEP",
+  "SQLTRACE_WAIT_ENTRIES",
+  "UCS_SESSION_REGISTRATION",
+  "VDI_CLIENT_OTHER",
+  "WAIT_FOR_RESULTS",
+  "WAITFOR",
+  "WAITFOR_TASKSHUTDOWN",
+  "WAIT_XTP_*",
+  "XE_*",
+];
+
+/**
+ * Creates the wait statistics collectors with their metrics registered in the given registry
+ *
+ * @param ignored {Array<string>} wait types not exposed, * matching any characters
+ * @param registry {client.Registry} registry receiving the metrics
+ *
+ * @returns {Object} collectors by name: {metrics, query, collect: function(rows, metrics, host), supports, perDatabase}
+ */
+function getWaitStats(ignored = DEFAULT_IGNORED_WAIT_TYPES, registry = client.register) {
+  const registers = [registry];
+  const matchers = ignored.map(patternRegExp);
+  // rows of wait_type, waiting_tasks_count, wait_time_ms, signal_wait_time_ms, followed by the database on Azure
+  const collector = (prefix) => (rows, metrics, host) => {
+    for (const row of rows) {
+      const wait_type = row[0];
+      if (matchers.some((matcher) => matcher.test(wait_type))) {
+        continue;
+      }
+      const tasks = row[1];
+      const wait_time = row[2] / 1000;
+      const signal_wait_time = row[3] / 1000;
+      const labels = row.length > 4 ? { host, database: row[4], wait_type } : { host, wait_type };
+      metricsLog("Fetched wait statistics", labels, tasks, wait_time, signal_wait_time);
+      setCounter(metrics[`${prefix}_wait_tasks_total`], labels, tasks);
+      setCounter(metrics[`${prefix}_wait_time_seconds_total`], labels, wait_time);
+      setCounter(metrics[`${prefix}_signal_wait_time_seconds_total`], labels, signal_wait_time);
+    }
+  };
+
+  const mssql_wait_stats = {
+    metrics: {
+      mssql_wait_time_seconds_total: new client.Counter({
+        name: "mssql_wait_time_seconds_total",
+        help: "Total wait time by wait type since last restart, including the signal wait time",
+        labelNames: ["host", "wait_type"],
+        registers,
+      }),
+      mssql_wait_tasks_total: new client.Counter({
+        name: "mssql_wait_tasks_total",
+        help: "Number of waits by wait type since last restart",
+        labelNames: ["host", "wait_type"],
+        registers,
+      }),
+      mssql_signal_wait_time_seconds_total: new client.Counter({
+        name: "mssql_signal_wait_time_seconds_total",
+        help: "Time between the signal of the waiting threads and the time they started running by wait type since last restart",
+        labelNames: ["host", "wait_type"],
+        registers,
+      }),
+    },
+    supports: { editions: INSTANCE_EDITIONS },
+    query: `SELECT wait_type, waiting_tasks_count, wait_time_ms, signal_wait_time_ms
+            FROM sys.dm_os_wait_stats
+            WHERE waiting_tasks_count > 0`,
+    collect: collector("mssql"),
+  };
+
+  // Azure SQL Database only exposes the waits of the database, since it was created or its last failover
+  const mssql_azure_wait_stats = {
+    metrics: {
+      mssql_azure_wait_time_seconds_total: new client.Counter({
+        name: "mssql_azure_wait_time_seconds_total",
+        help: "Total wait time of the database by wait type since its creation or last failover, including the signal wait time",
+        labelNames: ["host", "database", "wait_type"],
+        registers,
+      }),
+      mssql_azure_wait_tasks_total: new client.Counter({
+        name: "mssql_azure_wait_tasks_total",
+        help: "Number of waits of the database by wait type since its creation or last failover",
+        labelNames: ["host", "database", "wait_type"],
+        registers,
+      }),
+      mssql_azure_signal_wait_time_seconds_total: new client.Counter({
+        name: "mssql_azure_signal_wait_time_seconds_total",
+        help: "Time between the signal of the waiting threads of the database and the time they started running by wait type since its creation or last failover",
+        labelNames: ["host", "database", "wait_type"],
+        registers,
+      }),
+    },
+    supports: { editions: ["azure_sql_database"] },
+    perDatabase: true,
+    query: `SELECT wait_type, waiting_tasks_count, wait_time_ms, signal_wait_time_ms, DB_NAME()
+            FROM sys.dm_db_wait_stats
+            WHERE waiting_tasks_count > 0`,
+    collect: collector("mssql_azure"),
+  };
+
+  return {
+    mssql_wait_stats,
+    mssql_azure_wait_stats,
+  };
+}
+
+module.exports = {
+  DEFAULT_IGNORED_WAIT_TYPES,
+  getWaitStats,
+};
@@ -0,0 +1,210 @@
+/**
+ * Web configuration of the exporter endpoints, in the format of the Prometheus exporter-toolkit: HTTPS with optional
+ * client certificate verification (tls_server_config) and basic authentication with bcrypt hashed passwords
+ * (basic_auth_users)
+ */
+const appLog = require("debug")("app");
+const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const path = require("path");
+const yaml = require("js-yaml");
+
+const CLIENT_AUTH_TYPES = ["NoClientCert", "RequestClientCert", "RequireAnyClientCert", "VerifyClientCertIfGiven", "RequireAndVerifyClientCert"];
+const TLS_VERSIONS = { TLS10: "TLSv1", TLS11: "TLSv1.1", TLS12: "TLSv1.2", TLS13: "TLSv1.3" };
+// interval between two checks of the certificate files
+const RELOAD_INTERVAL = 10000;
+// bcrypt is slow on purpose: the outcome of the credentials already checked is kept
+const AUTHENTICATION_CACHE_SIZE = 100;
+
+function invalid(at, message) {
+  throw new Error(`Invalid web configuration: ${at} ${message}`);
+}
+
+function checkKeys(value, at, allowed) {
+  if (value === null || typeof value !== "object" || Array.isArray(value)) invalid(at, "must be an object");
+  for (const key of Object.keys(value)) {
+    if (!allowed.includes(key)) invalid(`${at}.${key}`, `is not a known setting (expected one of ${allowed.join(", ")})`);
+  }
+}
+
+function checkString(value, at) {
+  if (typeof value !== "string" || value.length === 0) invalid(at, "must be a non-empty string");
+}
+
+/**
+ * Loads and validates the web configuration file. Relative paths are relative to the file.
+ *
+ * @param file {string} path of the web configuration file, undefined for plain HTTP without authentication
+ *
+ * @returns {{tls: {certFile, keyFile, clientAuthType, clientCaFile, minVersion}|null, users: Object}} TLS settings (null
+ * for plain HTTP) and bcrypt hashed passwords by user name
+ */
+function loadWebConfig(file) {
+  if (!file) {
+    return { tls: null, users: {} };
+  }
+  appLog(`Loading web configuration file ${file}`);
+  let parsed;
+  try {
+    parsed = yaml.load(fs.readFileSync(file, "utf8")) || {};
+  } catch (error) {
+    throw new Error(`Unable to read web configuration file ${file}: ${error.message}`);
+  }
+  checkKeys(parsed, "file", ["tls_server_config", "basic_auth_users"]);
+  const resolve = (location) => path.resolve(path.dirname(file), location);
+
+  let tls = null;
+  if (parsed.tls_server_config !== undefined) {
+    const at = "tls_server_config";
+    const config = parsed.tls_server_config;
+    checkKeys(config, at, ["cert_file", "key_file", "client_auth_type", "client_ca_file", "min_version"]);
+    checkString(config.cert_file, `${at}.cert_file`);
+    checkString(config.key_file, `${at}.key_file`);
+    const clientAuthType = config.client_auth_type || "NoClientCert";
+    if (!CLIENT_AUTH_TYPES.includes(clientAuthType)) invalid(`${at}.client_auth_type`, `must be one of ${CLIENT_AUTH_TYPES.join(", ")}`);
+    if (config.client_ca_file !== undefined) checkString(config.client_ca_file, `${at}.client_ca_file`);
+    if (clientAuthType.includes("Verify") && !config.client_ca_file) invalid(`${at}.client_ca_file`, `is required by client_auth_type ${clientAuthType}`);
+    if (config.min_version !== undefined && !TLS_VERSIONS[config.min_version])
+      invalid(`${at}.min_version`, `must be one of ${Object.keys(TLS_VERSIONS).join(", ")}`);
+    tls = {
+      certFile: resolve(config.cert_file),
+      keyFile: resolve(config.key_file),
+      clientAuthType,
+      clientCaFile: config.client_ca_file && resolve(config.client_ca_file),
+      minVersion: TLS_VERSIONS[config.min_version || "TLS12"],
+    };
+  }
+
+  const users = parsed.basic_auth_users || {};
+  if (users === null || typeof users !== "object" || Array.isArray(users)) invalid("basic_auth_users", "must be an object");
+  for (const [user, hash] of Object.entries(users)) {
+    checkString(hash, `basic_auth_users.${user}`);
+    if (!/^\$2[aby]\$\d\d\$/.test(hash)) invalid(`basic_auth_users.${user}`, "must be a bcrypt hash");
+  }
+  return { tls, users };
+}
+
+/**
+ * Certificate, key and client CA of the TLS settings, read from their files
+ */
+function secureContextOptions(tls) {
+  return {
+    cert: fs.readFileSync(tls.certFile),
+    key: fs.readFileSync(tls.keyFile),
+    ca: tls.clientCaFile ? fs.readFileSync(tls.clientCaFile) : undefined,
+  };
+}
+
+/**
+ * Creates the HTTP server of the exporter, or its HTTPS server with the TLS settings of the web configuration. The
+ * certificate, key and client CA files are reloaded when they change, so that renewed certificates are served
+ * without restarting the exporter.
+ *
+ * @param app {Function} request listener (express application)
+ * @param webConfig {Object} web configuration returned by loadWebConfig()
+ *
+ * @returns {http.Server|https.Server} server, not listening yet
+ */
+function createServer(app, webConfig) {
+  const tls = webConfig.tls;
+  if (!tls) {
+    return http.createServer(app);
+  }
+  const server = https.createServer(
+    Object.assign(secureContextOptions(tls), {
+      minVersion: tls.minVersion,
+      requestCert: tls.clientAuthType !== "NoClientCert",
+      rejectUnauthorized: tls.clientAuthType === "RequireAndVerifyClientCert",
+    }),
+    app
+  );
+  const reload = () => {
+    try {
+      server.setSecureContext(Object.assign(secureContextOptions(tls), { minVersion: tls.minVersion }));
+      appLog("Reloaded the TLS certificate");
+    } catch (error) {
+      console.error("Error reloading the TLS certificate, keeping the previous one", error.message);
+    }
+  };
+  for (const file of [tls.certFile, tls.keyFile, tls.clientCaFile].filter(Boolean)) {
+    fs.watchFile(file, { interval: RELOAD_INTERVAL }, (current, previous) => current.mtimeMs !== previous.mtimeMs && reload()).unref();
+  }
+  return server;
+}
+
+/**
+ * Whether the client certificate of a request is acceptable for the client authentication type. Types rejecting
+ * the connection during the TLS handshake (RequireAndVerifyClientCert) or never checking it are always acceptable here.
+ */
+function acceptedClientCertificate(req, clientAuthType) {
+  const presented = typeof req.socket.getPeerCertificate === "function" && Object.keys(req.socket.getPeerCertificate()).length > 0;
+  switch (clientAuthType) {
+    case "RequireAnyClientCert":
+      return presented;
+    case "VerifyClientCertIfGiven":
+      return !presented || req.socket.authorized;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Express middleware enforcing the client certificate requirements and the basic authentication of the web
+ * configuration
+ *
+ * @param webConfig {Object} web configuration returned by loadWebConfig()
+ *
+ * @returns {Function} middleware
+ */
+function webAuthentication(webConfig) {
+  const users = webConfig.users;
+  const clientAuthType = webConfig.tls ? webConfig.tls.clientAuthType : "NoClientCert";
+  const checked = new Map();
+  // compared with the passwords of unknown users, so that they take as long to reject as the known ones: hashed with
+  // the highest cost of the configured hashes
+  const costs = Object.values(users).map((hash) => bcrypt.getRounds(hash));
+  const unknownUserHash = costs.length > 0 ? bcrypt.hash(crypto.randomBytes(16).toString("hex"), Math.max(...costs)) : null;
+
+  const authenticated = async (user, password) => {
+    const hash = Object.prototype.hasOwnProperty.call(users, user) ? users[user] : null;
+    const key = crypto.createHash("sha256").update(`${user}\u0000${password}\u0000${hash}`).digest("hex");
+    if (!checked.has(key)) {
+      // the asynchronous comparison leaves the event loop to the other requests and the collectors
+      const valid = (await bcrypt.compare(password, hash || (await unknownUserHash))) && hash !== null;
+      if (checked.size >= AUTHENTICATION_CACHE_SIZE) {
+        checked.delete(checked.keys().next().value);
+      }
+      checked.set(key, valid);
+    }
+    return checked.get(key);
+  };
+
+  return (req, res, next) => {
+    if (!acceptedClientCertificate(req, clientAuthType)) {
+      return res.status(403).send("Client certificate required");
+    }
+    if (Object.keys(users).length === 0) {
+      return next();
+    }
+    const unauthorized = () => {
+      res.set("WWW-Authenticate", "Basic");
+      res.status(401).send("Unauthorized");
+    };
+    const [scheme, encoded] = (req.get("Authorization") || "").split(" ");
+    const decoded = scheme === "Basic" && encoded ? Buffer.from(encoded, "base64").toString("utf8") : "";
+    const separator = decoded.indexOf(":");
+    if (separator < 0) {
+      return unauthorized();
+    }
+    authenticated(decoded.substring(0, separator), decoded.substring(separator + 1)).then((valid) => (valid ? next() : unauthorized()), next);
+  };
+}
+
+module.exports = {
+  loadWebConfig,
+  createServer,
+  webAuthentication,
+};
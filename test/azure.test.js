@@ -0,0 +1,30 @@
+const client = require("prom-client");
+
+const { getAzureMetrics } = require("../src/azure");
+
+describe("Azure metrics", function () {
+  it("exposes the DTU utilization of the databases of the DTU purchasing model", function () {
+    const registry = new client.Registry();
+    const entry = getAzureMetrics(registry).mssql_azure_resource_stats;
+    expect(entry.supports).toEqual({ editions: ["azure_sql_database"] });
+    entry.collect([["shop", 12.5, 40, 3.25, 60, 2, 1, 100, null]], entry.metrics, "shop.database.windows.net");
+
+    const text = registry.metrics();
+    expect(text).toContain('mssql_azure_dtu_percent{host="shop.database.windows.net",database="shop"} 40');
+    expect(text).toContain('mssql_azure_log_write_percent{host="shop.database.windows.net",database="shop"} 3.25');
+    expect(text).toContain('mssql_azure_dtu_limit{host="shop.database.windows.net",database="shop"} 100');
+    expect(text).not.toContain('mssql_azure_vcores{host="shop.database.windows.net"');
+  });
+
+  it("exposes the storage used in percentage of the maximum size", function () {
+    const registry = new client.Registry();
+    const entry = getAzureMetrics(registry).mssql_azure_storage;
+    entry.collect([["shop", "268435456", "1073741824"]], entry.metrics, "sql1");
+    entry.collect([["hyperscale", "1048576", "-1"]], entry.metrics, "sql1");
+
+    const text = registry.metrics();
+    expect(text).toContain('mssql_azure_storage_percent{host="sql1",database="shop"} 25');
+    expect(text).toContain('mssql_azure_storage_used_bytes{host="sql1",database="hyperscale"} 1048576');
+    expect(text).not.toContain('mssql_azure_storage_max_bytes{host="sql1",database="hyperscale"}');
+  });
+});
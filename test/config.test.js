@@ -0,0 +1,202 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { loadConfig } = require("../src/config");
+
+function writeConfig(name, content) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "mssql-exporter-")), name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+describe("Configuration", function () {
+  it("falls back to CONNECTION_STRINGS and EXPOSE", function () {
+    const config = loadConfig([], {
+      CONNECTION_STRINGS: "Server=sql1;Database=master;User id=sa;Password=x|Server=sql1;Database=other;User id=sa;Password=x",
+      EXPOSE: "4001",
+      LEGACY_METRIC_NAMES: "true",
+    });
+    expect(config.listen.port).toBe(4001);
+    expect(config.legacyMetricNames).toBe(true);
+    expect(config.targets.map((target) => target.name)).toEqual(["sql1:1433/master", "sql1:1433/other"]);
+    expect(() => loadConfig([], { CONNECTION_STRINGS: "Server=sql1;Database=master|Server=sql1;Database=other|Server=sql1;Database=other" })).toThrow(
+      "Duplicate target 'sql1:1433/other' in CONNECTION_STRINGS"
+    );
+    expect(config.targets[0].connection.options.arrayRowMode).toBe(true);
+  });
+
+  it("names the named instances of a host after their instance, whatever the order of the connection strings", function () {
+    const strings = ["Server=sqlhost\\SQL1;Database=master", "Server=sqlhost\\SQL2;Database=master", "Server=sqlhost\\SQL3;Database=master"];
+    const names = (list) => loadConfig([], { CONNECTION_STRINGS: list.join("|") }).targets.map((target) => target.name);
+    expect(names(strings)).toEqual(["sqlhost\\SQL1", "sqlhost\\SQL2", "sqlhost\\SQL3"]);
+    expect(names(strings.slice().reverse())).toEqual(["sqlhost\\SQL3", "sqlhost\\SQL2", "sqlhost\\SQL1"]);
+    expect(names(["Server=sqlhost\\SQL1;Database=shop", "Server=sqlhost\\SQL1;Database=crm", "Server=sqlhost;Database=master"])).toEqual([
+      "sqlhost\\SQL1/shop",
+      "sqlhost\\SQL1/crm",
+      "sqlhost:1433",
+    ]);
+  });
+
+  it("requires CONNECTION_STRINGS without a configuration file", function () {
+    expect(() => loadConfig([], {})).toThrow("Missing CONNECTION_STRINGS information");
+  });
+
+  it("loads named targets from a YAML file with environment interpolation", function () {
+    const file = writeConfig(
+      "config.yml",
+      `
+listen:
+  port: 9399
+collectors: [mssql_up, mssql_deadlocks]
+timeouts:
+  connect: 5
+targets:
+  - name: prod
+    server: sql1
+    user: exporter
+    password: \${SQL_PASSWORD}
+    labels:
+      env: production
+    timeouts:
+      query: 10
+  - name: dev
+    connection_string: Server=sql2;Database=master;User id=sa;Password=\${SQL_PASSWORD}
+    collectors: [mssql_up]
+`
+    );
+    const config = loadConfig(["--config", file], { SQL_PASSWORD: "secret" });
+    expect(config.listen).toEqual({ address: undefined, port: 9399 });
+    const [prod, dev] = config.targets;
+    expect(prod.name).toBe("prod");
+    expect(prod.labels).toEqual({ env: "production" });
+    expect(prod.collectors).toEqual({ include: ["mssql_up", "mssql_deadlocks"], exclude: [] });
+    expect(prod.connection.password).toBe("secret");
+    expect(prod.connection.connectionTimeout).toBe(5000);
+    expect(prod.connection.requestTimeout).toBe(10000);
+    expect(dev.collectors).toEqual({ include: ["mssql_up"], exclude: [] });
+    expect(dev.connection.server).toBe("sql2");
+    expect(dev.connection.password).toBe("secret");
+  });
+
+  it("combines global and per target collector selections", function () {
+    const file = writeConfig(
+      "config.yml",
+      "collectors:\n  exclude: [mssql_db_memory]\ntargets:\n  - name: a\n    server: sql1\n  - name: b\n    server: sql2\n    collectors:\n      include: [mssql_io_stall, mssql_db_memory]\n      exclude: [mssql_io_stall]\n"
+    );
+    const [a, b] = loadConfig(["--config", file], {}).targets;
+    expect(a.collectors).toEqual({ include: null, exclude: ["mssql_db_memory"] });
+    expect(b.collectors).toEqual({ include: ["mssql_io_stall", "mssql_db_memory"], exclude: ["mssql_db_memory", "mssql_io_stall"] });
+
+    const env = loadConfig([], { CONNECTION_STRINGS: "Server=sql1", COLLECTORS_EXCLUDE: "mssql_db_memory, mssql_volume_stats" });
+    expect(env.targets[0].collectors).toEqual({ include: null, exclude: ["mssql_db_memory", "mssql_volume_stats"] });
+  });
+
+  it("loads a JSON file given by CONFIG_FILE", function () {
+    const file = writeConfig("config.json", JSON.stringify({ targets: [{ name: "a", server: "sql1" }] }));
+    const config = loadConfig([], { CONFIG_FILE: file });
+    expect(config.targets[0].name).toBe("a");
+    expect(loadConfig(["--web.config.file=web.yml"], { CONFIG_FILE: file }).webConfigFile).toBe("web.yml");
+    expect(loadConfig([], { CONNECTION_STRINGS: "Server=sql1", WEB_CONFIG_FILE: "web.yml" }).webConfigFile).toBe("web.yml");
+  });
+
+  it("builds the authentication of each target", function () {
+    const token = writeConfig("token", "eyJ0eXAiOiJKV1QifQ");
+    const file = writeConfig(
+      "config.yml",
+      [
+        "targets:",
+        "  - name: domain",
+        "    server: sql1",
+        "    authentication: {type: ntlm, domain: CORP, user: exporter, password: secret}",
+        "  - name: azure",
+        "    connection_string: Server=shop.database.windows.net;Database=shop;User Id=sa;Password=old",
+        "    authentication: {type: azure_ad_service_principal, client_id: app, client_secret: secret, tenant_id: tenant}",
+        "  - name: workload",
+        "    server: crm.database.windows.net",
+        `    authentication: {type: azure_ad_token_file, token_file: ${token}}`,
+        "",
+      ].join("\n")
+    );
+    const [domain, azure, workload] = loadConfig(["--config", file], {}).targets;
+    expect(domain.connection.authentication).toEqual({
+      type: "ntlm",
+      options: expect.objectContaining({ domain: "CORP", userName: "exporter", password: "secret" }),
+    });
+    expect(azure.connection.user).toBeUndefined();
+    expect(azure.connection.password).toBeUndefined();
+    expect(azure.connection.authentication).toEqual({
+      type: "azure-active-directory-service-principal-secret",
+      options: expect.objectContaining({ clientId: "app", clientSecret: "secret", tenantId: "tenant" }),
+    });
+    expect(workload.connection.tokenFile).toBe(token);
+
+    const missing = writeConfig(
+      "config.yml",
+      "targets:\n  - name: a\n    server: sql1\n    authentication: {type: azure_ad_service_principal, client_id: app, tenant_id: tenant}\n"
+    );
+    expect(() => loadConfig(["--config", missing], {})).toThrow("Invalid configuration: targets[0].authentication.client_secret must be a non-empty string");
+    const combined = writeConfig(
+      "config.yml",
+      "targets:\n  - name: a\n    server: sql1\n    user: sa\n    authentication: {type: azure_ad_managed_identity}\n"
+    );
+    expect(() => loadConfig(["--config", combined], {})).toThrow("Invalid configuration: targets[0].user cannot be combined with authentication");
+  });
+
+  it("reads the passwords from files", function () {
+    const secret = writeConfig("password", "rotated\n");
+    const file = writeConfig(
+      "config.yml",
+      `targets:\n  - name: a\n    server: sql1\n    user: sa\n    password_file: ${secret}\n  - name: b\n    server: sql2\n    authentication: {type: ntlm, domain: CORP, user: exporter, password_file: ${secret}}\n`
+    );
+    const [a, b] = loadConfig(["--config", file], {}).targets;
+    expect(a.connection.password).toBeUndefined();
+    expect(a.connection.passwordFile).toBe(secret);
+    expect(b.connection.passwordFile).toBe(secret);
+
+    const env = loadConfig([], { CONNECTION_STRINGS: "Server=sql1;User id=sa", PASSWORD_FILE: secret });
+    expect(env.targets[0].connection.passwordFile).toBe(secret);
+    expect(() => loadConfig([], { CONNECTION_STRINGS: "Server=sql1;User id=sa", PASSWORD_FILE: "/not/found" })).toThrow(
+      "Invalid configuration: PASSWORD_FILE cannot be read (ENOENT)"
+    );
+  });
+
+  it("converts the index statistics interval to milliseconds", function () {
+    const file = writeConfig("config.yml", "index_stats:\n  interval: 600\n  timeout: 120\n  databases: [shop]\ntargets:\n  - name: a\n    server: sql1\n");
+    expect(loadConfig(["--config", file], {}).indexStats).toEqual({ interval: 600000, timeout: 120000, minPageCount: undefined, databases: ["shop"] });
+  });
+
+  it("loads custom metrics inline and from custom_metrics_files", function () {
+    const included = writeConfig(
+      "custom.yml",
+      "custom_metrics:\n  - name: jobs\n    query: SELECT COUNT(*) FROM msdb.dbo.sysjobs\n    metrics:\n      - {name: mssql_jobs, help: Jobs, value: count}\n"
+    );
+    const file = writeConfig(
+      "config.yml",
+      `custom_metrics:\n  - name: orders\n    query: SELECT 1 AS orders\n    metrics:\n      - {name: shop_orders, help: Orders, value: orders}\ncustom_metrics_files: [${included}]\ntargets:\n  - name: a\n    server: sql1\n`
+    );
+    const config = loadConfig(["--config", file], {});
+    expect(config.customMetrics.map((definition) => definition.name)).toEqual(["orders", "jobs"]);
+
+    const broken = writeConfig(
+      "config.yml",
+      "custom_metrics:\n  - name: orders\n    query: SELECT 1\n    metrics:\n      - {name: shop_orders, value: orders}\ntargets:\n  - name: a\n    server: sql1\n"
+    );
+    expect(() => loadConfig(["--config", broken], {})).toThrow("Invalid custom metric query 'orders': metrics[0].help must be a non-empty string");
+  });
+
+  it("fails fast with the path of the invalid setting", function () {
+    const unknown = writeConfig("config.yml", "targets:\n  - name: a\n    server: sql1\n    pasword: x\n");
+    expect(() => loadConfig([`--config=${unknown}`], {})).toThrow("Invalid configuration: targets[0].pasword is not a known setting");
+    const missing = writeConfig("config.yml", "targets:\n  - name: a\n    server: sql1\n    password: ${NOT_SET}\n");
+    expect(() => loadConfig([`--config=${missing}`], {})).toThrow("targets[0].password references environment variable NOT_SET which is not set");
+    const duplicate = writeConfig("config.yml", "targets:\n  - name: a\n    server: sql1\n  - name: a\n    server: sql2\n");
+    expect(() => loadConfig([`--config=${duplicate}`], {})).toThrow("targets[1].name duplicates target name 'a'");
+    const reserved = writeConfig("config.yml", "targets:\n  - name: a\n    server: sql1\n    labels:\n      host: sql1.example.com\n");
+    expect(() => loadConfig([`--config=${reserved}`], {})).toThrow(
+      "Invalid configuration: targets[0].labels.host is reserved for the label added by the exporter"
+    );
+    const counters = writeConfig("config.yml", "performance_counters:\n  - object: Latches\ntargets:\n  - name: a\n    server: sql1\n");
+    expect(() => loadConfig([`--config=${counters}`], {})).toThrow("Invalid configuration: performance_counters[0].counter must be a non-empty string");
+  });
+});
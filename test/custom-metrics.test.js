@@ -0,0 +1,73 @@
+const client = require("prom-client");
+
+const { validateCustomMetrics, getCustomMetrics } = require("../src/custom-metrics");
+
+const definitions = [
+  {
+    name: "orders",
+    query: "SELECT status, COUNT(*) AS orders, SUM(amount) AS amount FROM shop.dbo.orders GROUP BY status",
+    metrics: [
+      { name: "shop_orders", help: "Orders by status", labels: ["status"], value: "orders" },
+      { name: "shop_amount_total", help: "Order amount", type: "counter", labels: ["status"], value: "amount" },
+    ],
+  },
+];
+
+function result(columns, rows) {
+  Object.defineProperty(rows, "columns", { value: columns.map((name, index) => ({ index, name })) });
+  return rows;
+}
+
+describe("Custom metrics", function () {
+  it("accepts valid definitions", function () {
+    expect(() => validateCustomMetrics(definitions)).not.toThrow();
+  });
+
+  it("rejects invalid definitions naming the query", function () {
+    expect(() => validateCustomMetrics([{ name: "broken", query: "SELECT 1", metrics: [] }])).toThrow(
+      "Invalid custom metric query 'broken': metrics must be a non-empty list"
+    );
+    expect(() => validateCustomMetrics([{ name: "broken", query: "SELECT 1", metrics: [{ name: "x", help: "x", value: "v", type: "histogram" }] }])).toThrow(
+      "Invalid custom metric query 'broken': metrics[0].type must be one of gauge, counter"
+    );
+    expect(() => validateCustomMetrics([{ name: "broken", metrics: [{ name: "x", help: "x", value: "v" }] }])).toThrow(
+      "Invalid custom metric query 'broken': query must be a non-empty string"
+    );
+    expect(() => validateCustomMetrics([{ name: "broken", query: "SELECT 1", metrics: [{ name: "x", help: "x", value: "v", labels: ["target"] }] }])).toThrow(
+      "Invalid custom metric query 'broken': metrics[0].labels 'target' is not a valid label column"
+    );
+  });
+
+  it("generates metrics from the named columns", function () {
+    const registry = new client.Registry();
+    const entries = getCustomMetrics(definitions, registry);
+    const entry = entries.orders;
+    expect(entry.query).toBe(definitions[0].query);
+
+    entry.collect(
+      result(
+        ["STATUS", "orders", "amount"],
+        [
+          ["open", 3, "120.5"],
+          ["closed", 7, null],
+        ]
+      ),
+      entry.metrics,
+      "sql1"
+    );
+
+    const [orders, amount] = registry.getMetricsAsJSON();
+    expect(orders.type).toBe("gauge");
+    expect(orders.values.map((value) => [value.labels, value.value])).toEqual([
+      [{ host: "sql1", status: "open" }, 3],
+      [{ host: "sql1", status: "closed" }, 7],
+    ]);
+    expect(amount.type).toBe("counter");
+    expect(amount.values.map((value) => [value.labels, value.value])).toEqual([[{ host: "sql1", status: "open" }, 120.5]]);
+  });
+
+  it("fails collection when a declared column is missing", function () {
+    const entry = getCustomMetrics(definitions, new client.Registry()).orders;
+    expect(() => entry.collect(result(["status", "orders"], [["open", 1]]), entry.metrics, "sql1")).toThrow("Column 'amount' not returned by query");
+  });
+});
@@ -6,12 +6,25 @@ function parse(text) {
   const o = {};
   lines.forEach((line) => {
     expect(line.indexOf(" ")).toBeGreaterThanOrEqual(0);
-    [key, value] = line.split(" ");
-    o[key] = parseInt(value);
+    // label values may contain spaces (e.g. performance counter names), the value follows the last one
+    const separator = line.lastIndexOf(" ");
+    o[line.substring(0, separator)] = parseInt(line.substring(separator + 1));
   });
   return o;
 }
 
+/**
+ * Removes the series of a metric whose labels depend on the server (client names, file names...), after checking that
+ * there is at least one of them unless they are optional (e.g. only present from the second scrape)
+ */
+function removeMetric(lines, name, optional = false) {
+  const keys = Object.keys(lines).filter((key) => key.startsWith(`${name}{`));
+  if (!optional) {
+    expect(keys.length).toBeGreaterThan(0);
+  }
+  keys.forEach((key) => delete lines[key]);
+}
+
 describe("E2E Test", function () {
   it("Fetch all metrics and ensure that all expected are present", async function () {
     const data = await request.get("http://localhost:4000/metrics");
@@ -19,87 +32,189 @@ describe("E2E Test", function () {
     let text = data.text;
     const lines = parse(text);
     const host = "localhost";
+    const target = "localhost:1433";
     // some specific tests
-    expect(lines[`mssql_up{host="${host}"}`]).toBe(1);
-    expect([14, 15]).toContain(lines[`mssql_product_version{host="${host}"}`]);
-    expect(lines[`mssql_instance_local_time{host="${host}"}`]).toBeGreaterThan(0);
-    expect(lines[`mssql_total_physical_memory_kb{host="${host}"}`]).toBeGreaterThan(0);
+    expect(lines[`mssql_up{host="${host}",target="${target}"}`]).toBe(1);
+    expect([14, 15]).toContain(lines[`mssql_product_version{host="${host}",target="${target}"}`]);
+    expect(lines[`mssql_instance_local_time{host="${host}",target="${target}"}`]).toBeGreaterThan(0);
+    expect(lines[`mssql_total_physical_memory_kb{host="${host}",target="${target}"}`]).toBeGreaterThan(0);
 
     // lets ensure that there is at least one instance of these 2019 entries (that differ from 2017)
     const v2019 = [`mssql_client_connections`, `mssql_database_filesize`];
-    v2019.forEach((k2019) => {
-      const keys = Object.keys(lines);
-      const i = keys.findIndex((key) => key.startsWith(k2019));
-      expect(i).toBeGreaterThanOrEqual(0);
-      keys
-        .filter((key) => key.startsWith(k2019))
-        .forEach((key) => {
-          delete lines[key];
-        });
+    v2019.forEach((name) => removeMetric(lines, name));
+    // a series by wait type
+    ["mssql_wait_time_seconds_total", "mssql_wait_tasks_total", "mssql_signal_wait_time_seconds_total"].forEach((name) => removeMetric(lines, name));
+    // averages are computed between two scrapes
+    removeMetric(lines, "mssql_performance_counter_average", true);
+    // requests of other sessions come and go
+    ["mssql_active_requests", "mssql_active_request_max_age_seconds", "mssql_long_running_requests"].forEach((name) => removeMetric(lines, name, true));
+    // only the databases using row versioning
+    removeMetric(lines, "mssql_version_store_bytes", true);
+    // the number of tempdb files depends on the cores of the server, the log reuse wait reasons on its activity
+    [
+      "mssql_database_file_used_bytes",
+      "mssql_database_file_size_bytes",
+      "mssql_database_file_max_size_bytes",
+      "mssql_database_file_growth",
+      "mssql_database_file_is_percent_growth",
+      "mssql_database_log_reuse_wait",
+    ].forEach((name) => removeMetric(lines, name));
+
+    // collectors run against a vanilla mssql server instance, each one succeeds and is reported by the exporter metrics
+    const collectors = [
+      "mssql_up",
+      "mssql_product_version",
+      "mssql_instance_local_time",
+      "mssql_connections",
+      "mssql_client_connections",
+      "mssql_deadlocks",
+      "mssql_user_errors",
+      "mssql_kill_connection_errors",
+      "mssql_database_state",
+      "mssql_log_growths",
+      "mssql_database_filesize",
+      "mssql_buffer_manager",
+      "mssql_io_stall",
+      "mssql_batch_requests",
+      "mssql_transactions",
+      "mssql_os_process_memory",
+      "mssql_os_sys_memory",
+      "mssql_db_memory",
+      "mssql_volume_stats",
+      "mssql_most_exec_query",
+      "mssql_most_avg_io_query",
+      "mssql_most_avg_time_query",
+      // no series, Query Store is disabled
+      "mssql_most_wait_query",
+      "mssql_performance_counters",
+      "mssql_wait_stats",
+      // no series, Agent XPs are disabled
+      "mssql_agent_jobs",
+      "mssql_backups",
+      "mssql_blocking",
+      "mssql_requests",
+      "mssql_tempdb",
+      "mssql_version_store",
+      "mssql_database_files",
+      "mssql_database_log",
+    ];
+    const exporterSeries = [
+      `mssql_exporter_scrapes_total{host="${host}",target="${target}"}`,
+      `mssql_exporter_scrape_duration_seconds{host="${host}",target="${target}"}`,
+    ];
+    collectors.forEach((collector) => {
+      expect(lines[`mssql_exporter_collector_success{host="${host}",collector="${collector}",target="${target}"}`]).toBe(1);
+      ["duration_seconds", "success", "rows", "timeout"].forEach((metric) =>
+        exporterSeries.push(`mssql_exporter_collector_${metric}{host="${host}",collector="${collector}",target="${target}"}`)
+      );
     });
 
     // bulk ensure that all expected results of a vanilla mssql server instance are here
-    expect(Object.keys(lines).sort()).toEqual([
-      `mssql_up{host="${host}"}`,
-      `mssql_product_version{host="${host}"}`,
-      `mssql_instance_local_time{host="${host}"}`,
-      `mssql_connections{host="${host}",database="master",state="current"}`,
-      `mssql_deadlocks{host="${host}"}`,
-      `mssql_user_errors{host="${host}"}`,
-      `mssql_kill_connection_errors{host="${host}"}`,
-      `mssql_database_state{host="${host}",database="master"}`,
-      `mssql_database_state{host="${host}",database="tempdb"}`,
-      `mssql_database_state{host="${host}",database="model"}`,
-      `mssql_database_state{host="${host}",database="msdb"}`,
-      `mssql_log_growths{host="${host}",database="tempdb"}`,
-      `mssql_log_growths{host="${host}",database="model"}`,
-      `mssql_log_growths{host="${host}",database="msdb"}`,
-      `mssql_log_growths{host="${host}",database="mssqlsystemresource"}`,
-      `mssql_log_growths{host="${host}",database="master"}`,
-      `mssql_page_read_total{host="${host}"}`,
-      `mssql_page_write_total{host="${host}"}`,
-      `mssql_page_life_expectancy{host="${host}"}`,
-      `mssql_lazy_write_total{host="${host}"}`,
-      `mssql_page_checkpoint_total{host="${host}"}`,
-      `mssql_io_stall{host="${host}",database="master",type="read"}`,
-      `mssql_io_stall{host="${host}",database="master",type="write"}`,
-      `mssql_io_stall{host="${host}",database="master",type="queued_read"}`,
-      `mssql_io_stall{host="${host}",database="master",type="queued_write"}`,
-      `mssql_io_stall{host="${host}",database="tempdb",type="read"}`,
-      `mssql_io_stall{host="${host}",database="tempdb",type="write"}`,
-      `mssql_io_stall{host="${host}",database="tempdb",type="queued_read"}`,
-      `mssql_io_stall{host="${host}",database="tempdb",type="queued_write"}`,
-      `mssql_io_stall{host="${host}",database="model",type="read"}`,
-      `mssql_io_stall{host="${host}",database="model",type="write"}`,
-      `mssql_io_stall{host="${host}",database="model",type="queued_read"}`,
-      `mssql_io_stall{host="${host}",database="model",type="queued_write"}`,
-      `mssql_io_stall{host="${host}",database="msdb",type="read"}`,
-      `mssql_io_stall{host="${host}",database="msdb",type="write"}`,
-      `mssql_io_stall{host="${host}",database="msdb",type="queued_read"}`,
-      `mssql_io_stall{host="${host}",database="msdb",type="queued_write"}`,
-      `mssql_io_stall_total{host="${host}",database="master"}`,
-      `mssql_io_stall_total{host="${host}",database="tempdb"}`,
-      `mssql_io_stall_total{host="${host}",database="model"}`,
-      `mssql_io_stall_total{host="${host}",database="msdb"}`,
-      `mssql_batch_requests{host="${host}"}`,
-      `mssql_transactions{host="${host}",database="tempdb"}`,
-      `mssql_transactions{host="${host}",database="model"}`,
-      `mssql_transactions{host="${host}",database="msdb"}`,
-      `mssql_transactions{host="${host}",database="mssqlsystemresource"}`,
-      `mssql_transactions{host="${host}",database="master"}`,
-      `mssql_page_fault_count{host="${host}"}`,
-      `mssql_memory_utilization_percentage{host="${host}"}`,
-      `mssql_total_physical_memory_kb{host="${host}"}`,
-      `mssql_available_physical_memory_kb{host="${host}"}`,
-      `mssql_total_page_file_kb{host="${host}"}`,
-      `mssql_available_page_file_kb{host="${host}"}`,
-      `mssql_db_memory{host="${host}",database="null"}`,
-      `mssql_db_memory{host="${host}",database="msdb"}`,
-      `mssql_db_memory{host="${host}",database="master"}`,
-      `mssql_db_memory{host="${host}",database="tempdb"}`,
-      `mssql_db_memory{host="${host}",database="model"}`,
-      `mssql_volume_total_bytes{host="${host}",volume_mount_point="null"}`,
-      `mssql_volume_available_bytes{host="${host}",volume_mount_point="null"}`,
-    ].sort());
+    const expected = [
+      `mssql_up{host="${host}",target="${target}"}`,
+      `mssql_product_version{host="${host}",target="${target}"}`,
+      `mssql_instance_local_time{host="${host}",target="${target}"}`,
+      `mssql_connections{host="${host}",database="master",state="current",target="${target}"}`,
+      `mssql_deadlocks_total{host="${host}",target="${target}"}`,
+      `mssql_user_errors_total{host="${host}",target="${target}"}`,
+      `mssql_kill_connection_errors_total{host="${host}",target="${target}"}`,
+      `mssql_blocked_sessions{host="${host}",target="${target}"}`,
+      `mssql_blocked_wait_seconds_max{host="${host}",target="${target}"}`,
+      `mssql_head_blockers{host="${host}",target="${target}"}`,
+      `mssql_database_state{host="${host}",database="master",target="${target}"}`,
+      `mssql_database_state{host="${host}",database="tempdb",target="${target}"}`,
+      `mssql_database_state{host="${host}",database="model",target="${target}"}`,
+      `mssql_database_state{host="${host}",database="msdb",target="${target}"}`,
+      `mssql_log_growths_total{host="${host}",database="tempdb",target="${target}"}`,
+      `mssql_log_growths_total{host="${host}",database="model",target="${target}"}`,
+      `mssql_log_growths_total{host="${host}",database="msdb",target="${target}"}`,
+      `mssql_log_growths_total{host="${host}",database="mssqlsystemresource",target="${target}"}`,
+      `mssql_log_growths_total{host="${host}",database="master",target="${target}"}`,
+      `mssql_page_read_total{host="${host}",target="${target}"}`,
+      `mssql_page_write_total{host="${host}",target="${target}"}`,
+      `mssql_page_life_expectancy{host="${host}",target="${target}"}`,
+      `mssql_lazy_write_total{host="${host}",target="${target}"}`,
+      `mssql_page_checkpoint_total{host="${host}",target="${target}"}`,
+      `mssql_io_stall_seconds_total{host="${host}",database="master",type="read",target="${target}"}`,
+      `mssql_io_stall_seconds_total{host="${host}",database="master",type="write",target="${target}"}`,
+      `mssql_io_stall_seconds_total{host="${host}",database="master",type="queued_read",target="${target}"}`,
+      `mssql_io_stall_seconds_total{host="${host}",database="master",type="queued_write",target="${target}"}`,
+      `mssql_io_stall_seconds_total{host="${host}",database="tempdb",type="read",target="${target}"}`,
+      `mssql_io_stall_seconds_total{host="${host}",database="tempdb",type="write",target="${target}"}`,
+      `mssql_io_stall_seconds_total{host="${host}",database="tempdb",type="queued_read",target="${target}"}`,
+      `mssql_io_stall_seconds_total{host="${host}",database="tempdb",type="queued_write",target="${target}"}`,
+      `mssql_io_stall_seconds_total{host="${host}",database="model",type="read",target="${target}"}`,
+      `mssql_io_stall_seconds_total{host="${host}",database="model",type="write",target="${target}"}`,
+      `mssql_io_stall_seconds_total{host="${host}",database="model",type="queued_read",target="${target}"}`,
+      `mssql_io_stall_seconds_total{host="${host}",database="model",type="queued_write",target="${target}"}`,
+      `mssql_io_stall_seconds_total{host="${host}",database="msdb",type="read",target="${target}"}`,
+      `mssql_io_stall_seconds_total{host="${host}",database="msdb",type="write",target="${target}"}`,
+      `mssql_io_stall_seconds_total{host="${host}",database="msdb",type="queued_read",target="${target}"}`,
+      `mssql_io_stall_seconds_total{host="${host}",database="msdb",type="queued_write",target="${target}"}`,
+      `mssql_io_stall_all_seconds_total{host="${host}",database="master",target="${target}"}`,
+      `mssql_io_stall_all_seconds_total{host="${host}",database="tempdb",target="${target}"}`,
+      `mssql_io_stall_all_seconds_total{host="${host}",database="model",target="${target}"}`,
+      `mssql_io_stall_all_seconds_total{host="${host}",database="msdb",target="${target}"}`,
+      `mssql_io_stall_average_seconds{host="${host}",database="master",type="read",target="${target}"}`,
+      `mssql_io_stall_average_seconds{host="${host}",database="master",type="write",target="${target}"}`,
+      `mssql_io_stall_average_seconds{host="${host}",database="tempdb",type="read",target="${target}"}`,
+      `mssql_io_stall_average_seconds{host="${host}",database="tempdb",type="write",target="${target}"}`,
+      `mssql_io_stall_average_seconds{host="${host}",database="model",type="read",target="${target}"}`,
+      `mssql_io_stall_average_seconds{host="${host}",database="model",type="write",target="${target}"}`,
+      `mssql_io_stall_average_seconds{host="${host}",database="msdb",type="read",target="${target}"}`,
+      `mssql_io_stall_average_seconds{host="${host}",database="msdb",type="write",target="${target}"}`,
+      `mssql_batch_requests_total{host="${host}",target="${target}"}`,
+      `mssql_transactions_total{host="${host}",database="tempdb",target="${target}"}`,
+      `mssql_transactions_total{host="${host}",database="model",target="${target}"}`,
+      `mssql_transactions_total{host="${host}",database="msdb",target="${target}"}`,
+      `mssql_transactions_total{host="${host}",database="mssqlsystemresource",target="${target}"}`,
+      `mssql_transactions_total{host="${host}",database="master",target="${target}"}`,
+      `mssql_page_faults_total{host="${host}",target="${target}"}`,
+      `mssql_memory_utilization_percentage{host="${host}",target="${target}"}`,
+      `mssql_total_physical_memory_kb{host="${host}",target="${target}"}`,
+      `mssql_available_physical_memory_kb{host="${host}",target="${target}"}`,
+      `mssql_total_page_file_kb{host="${host}",target="${target}"}`,
+      `mssql_available_page_file_kb{host="${host}",target="${target}"}`,
+      `mssql_db_memory{host="${host}",database="null",target="${target}"}`,
+      `mssql_db_memory{host="${host}",database="msdb",target="${target}"}`,
+      `mssql_db_memory{host="${host}",database="master",target="${target}"}`,
+      `mssql_db_memory{host="${host}",database="tempdb",target="${target}"}`,
+      `mssql_db_memory{host="${host}",database="model",target="${target}"}`,
+      `mssql_database_log_used_bytes{host="${host}",database="master",target="${target}"}`,
+      `mssql_database_log_size_bytes{host="${host}",database="master",target="${target}"}`,
+      `mssql_database_log_used_bytes{host="${host}",database="tempdb",target="${target}"}`,
+      `mssql_database_log_size_bytes{host="${host}",database="tempdb",target="${target}"}`,
+      `mssql_database_log_used_bytes{host="${host}",database="model",target="${target}"}`,
+      `mssql_database_log_size_bytes{host="${host}",database="model",target="${target}"}`,
+      `mssql_database_log_used_bytes{host="${host}",database="msdb",target="${target}"}`,
+      `mssql_database_log_size_bytes{host="${host}",database="msdb",target="${target}"}`,
+      `mssql_tempdb_space_bytes{host="${host}",type="user_objects",target="${target}"}`,
+      `mssql_tempdb_space_bytes{host="${host}",type="internal_objects",target="${target}"}`,
+      `mssql_tempdb_space_bytes{host="${host}",type="version_store",target="${target}"}`,
+      `mssql_tempdb_space_bytes{host="${host}",type="mixed_extents",target="${target}"}`,
+      `mssql_tempdb_space_bytes{host="${host}",type="free",target="${target}"}`,
+      `mssql_snapshot_transaction_max_age_seconds{host="${host}",target="${target}"}`,
+      `mssql_volume_total_bytes{host="${host}",volume_mount_point="null",target="${target}"}`,
+      `mssql_volume_available_bytes{host="${host}",volume_mount_point="null",target="${target}"}`,
+      `mssql_volume_available_percentage{host="${host}",volume_mount_point="null",target="${target}"}`,
+      `mssql_database_recovery_model{host="${host}",database="master",target="${target}"}`,
+      `mssql_last_backup_timestamp_seconds{host="${host}",database="master",type="full",target="${target}"}`,
+      `mssql_last_backup_timestamp_seconds{host="${host}",database="master",type="differential",target="${target}"}`,
+      `mssql_last_backup_timestamp_seconds{host="${host}",database="master",type="log",target="${target}"}`,
+      `mssql_database_recovery_model{host="${host}",database="model",target="${target}"}`,
+      `mssql_last_backup_timestamp_seconds{host="${host}",database="model",type="full",target="${target}"}`,
+      `mssql_last_backup_timestamp_seconds{host="${host}",database="model",type="differential",target="${target}"}`,
+      `mssql_last_backup_timestamp_seconds{host="${host}",database="model",type="log",target="${target}"}`,
+      `mssql_database_recovery_model{host="${host}",database="msdb",target="${target}"}`,
+      `mssql_last_backup_timestamp_seconds{host="${host}",database="msdb",type="full",target="${target}"}`,
+      `mssql_last_backup_timestamp_seconds{host="${host}",database="msdb",type="differential",target="${target}"}`,
+      `mssql_last_backup_timestamp_seconds{host="${host}",database="msdb",type="log",target="${target}"}`,
+      `mssql_performance_counter_ratio{host="${host}",object="Buffer Manager",counter="Buffer cache hit ratio",instance="",target="${target}"}`,
+      `mssql_performance_counter_total{host="${host}",object="Latches",counter="Latch Waits/sec",instance="",target="${target}"}`,
+      `mssql_performance_counter_total{host="${host}",object="Locks",counter="Lock Waits/sec",instance="_Total",target="${target}"}`,
+      `mssql_performance_counter_total{host="${host}",object="SQL Statistics",counter="SQL Compilations/sec",instance="",target="${target}"}`,
+      `mssql_performance_counter_total{host="${host}",object="SQL Statistics",counter="SQL Re-Compilations/sec",instance="",target="${target}"}`,
+    ];
+    expect(Object.keys(lines).sort()).toEqual(expected.concat(exporterSeries).sort());
   });
 });
@@ -0,0 +1,28 @@
+const client = require("prom-client");
+
+const { getIndexStats } = require("../src/index-stats");
+
+describe("Index statistics", function () {
+  it("exposes the fragmentation of the large indexes of the user databases every hour", function () {
+    const registry = new client.Registry();
+    const entry = getIndexStats(undefined, registry).mssql_index_fragmentation;
+    expect(entry.interval).toBe(3600 * 1000);
+    expect(entry.timeout).toBe(600 * 1000);
+    expect(entry.allowEmpty).toBe(true);
+    expect(entry.query).toContain("HAVING SUM(s.page_count) >= 1000");
+    expect(entry.query).toContain("AND (database_id > 4)");
+    entry.collect([["shop", "dbo.orders", "IX_orders_date", 37.5, "12000"]], entry.metrics, "sql1");
+
+    const text = registry.metrics();
+    expect(text).toContain('mssql_index_fragmentation_percent{host="sql1",database="shop",table="dbo.orders",index="IX_orders_date"} 37.5');
+    expect(text).toContain('mssql_index_pages{host="sql1",database="shop",table="dbo.orders",index="IX_orders_date"} 12000');
+  });
+
+  it("only inspects the configured databases", function () {
+    const registry = new client.Registry();
+    const entries = getIndexStats({ interval: 60000, minPageCount: 500, databases: ["shop", "o'brien"] }, registry);
+    expect(entries.mssql_index_fragmentation.interval).toBe(60000);
+    expect(entries.mssql_index_fragmentation.query).toContain("AND (name IN (N'shop', N'o''brien'))");
+    expect(entries.mssql_missing_indexes.query).toContain("WHERE DB_NAME(d.database_id) IN (N'shop', N'o''brien')");
+  });
+});
@@ -0,0 +1,174 @@
+const client = require("prom-client");
+
+const { getMetrics } = require("../src/metrics");
+const { mergeMetrics } = require("../src/utils");
+
+describe("Metrics", function () {
+  const ioStallRow = ["master", "2000", "1000", "3000", "0", "0", 4, 2];
+
+  it("exposes cumulative values as counters", function () {
+    const registry = new client.Registry();
+    const entries = getMetrics(registry);
+    entries.mssql_deadlocks.collect([[7]], entries.mssql_deadlocks.metrics, "sql1");
+    entries.mssql_io_stall.collect([ioStallRow], entries.mssql_io_stall.metrics, "sql1");
+    entries.mssql_deadlocks.collect([[9]], entries.mssql_deadlocks.metrics, "sql1");
+
+    const text = registry.metrics();
+    expect(text).toContain("# TYPE mssql_deadlocks_total counter");
+    expect(text).toContain('mssql_deadlocks_total{host="sql1"} 9');
+    expect(text).toContain("# TYPE mssql_io_stall_seconds_total counter");
+    expect(text).toContain('mssql_io_stall_seconds_total{host="sql1",database="master",type="read"} 2');
+    expect(text).toContain('mssql_io_stall_all_seconds_total{host="sql1",database="master"} 3');
+    expect(text).toContain('mssql_io_stall_average_seconds{host="sql1",database="master",type="write"} 0.002');
+    expect(text).not.toMatch(/# HELP \w+_total .*per second/);
+  });
+
+  it("keeps apart the series of targets on the same host by their target label", function () {
+    const sources = ["sql1:1433", "sql1:1434"].map((target, i) => {
+      const registry = new client.Registry();
+      const entries = getMetrics(registry);
+      entries.mssql_up.metrics.mssql_up.set({ host: "sql1" }, i);
+      return { registry, labels: { target, env: "production" }, metricNames: new Set(["mssql_up"]) };
+    });
+
+    const lines = mergeMetrics(sources).split("\n");
+    expect(lines.filter((line) => line.startsWith("# TYPE mssql_up"))).toHaveLength(1);
+    expect(lines).toContain('mssql_up{host="sql1",target="sql1:1433",env="production"} 0');
+    expect(lines).toContain('mssql_up{host="sql1",target="sql1:1434",env="production"} 1');
+  });
+
+  it("keeps the legacy gauges with legacyNames", function () {
+    const registry = new client.Registry();
+    const entries = getMetrics(registry, { legacyNames: true });
+    entries.mssql_deadlocks.collect([[7]], entries.mssql_deadlocks.metrics, "sql1");
+    entries.mssql_io_stall.collect([ioStallRow], entries.mssql_io_stall.metrics, "sql1");
+
+    const text = registry.metrics();
+    expect(text).toContain("# TYPE mssql_deadlocks gauge");
+    expect(text).toContain('mssql_deadlocks{host="sql1"} 7');
+    expect(text).toContain('mssql_io_stall{host="sql1",database="master",type="read"} 2000');
+    expect(text).toContain('mssql_io_stall{host="sql1",database="master",type="avg_read"} 4');
+    expect(text).toContain('mssql_io_stall_total{host="sql1",database="master"} 3000');
+    expect(text).not.toContain("mssql_io_stall_seconds_total");
+  });
+
+  it("exposes the availability databases of the primary and secondary replicas", function () {
+    const registry = new client.Registry();
+    const entry = getMetrics(registry).mssql_availability_databases;
+    expect(entry.allowEmpty).toBe(true);
+    entry.collect(
+      [
+        ["ag1", "sql1", "shop", 2, 2, null, null, null, 0],
+        ["ag1", "sql2", "shop", 1, 1, 4, 2, 10, 3],
+      ],
+      entry.metrics,
+      "sql1"
+    );
+
+    const text = registry.metrics();
+    expect(text).toContain('mssql_ag_database_synchronization_state{host="sql1",availability_group="ag1",replica="sql1",database="shop"} 2');
+    expect(text).toContain('mssql_ag_database_log_send_queue_bytes{host="sql1",availability_group="ag1",replica="sql2",database="shop"} 4096');
+    expect(text).not.toContain('mssql_ag_database_redo_queue_bytes{host="sql1",availability_group="ag1",replica="sql1"');
+    expect(text).toContain('mssql_ag_database_last_commit_lag_seconds{host="sql1",availability_group="ag1",replica="sql2",database="shop"} 3');
+  });
+
+  it("counts the requests running for longer than the threshold", function () {
+    const registry = new client.Registry();
+    const entry = getMetrics(registry, { longRunningThreshold: 300 }).mssql_requests;
+    expect(entry.query).toContain(">= 300 THEN 1");
+    entry.collect([["shop", "suspended", "LCK_M_X", 3, 420, 1]], entry.metrics, "sql1");
+
+    const text = registry.metrics();
+    expect(text).toContain('mssql_active_requests{host="sql1",database="shop",status="suspended",wait_type="LCK_M_X"} 3');
+    expect(text).toContain('mssql_active_request_max_age_seconds{host="sql1",database="shop",status="suspended",wait_type="LCK_M_X"} 420');
+    expect(text).toContain('mssql_long_running_requests{host="sql1",database="shop",status="suspended",wait_type="LCK_M_X"} 1');
+  });
+
+  it("exposes the tempdb space usage in bytes", function () {
+    const registry = new client.Registry();
+    const entry = getMetrics(registry).mssql_tempdb;
+    entry.collect([[16, 32, 8, 4, 1024, 75]], entry.metrics, "sql1");
+
+    const text = registry.metrics();
+    expect(text).toContain('mssql_tempdb_space_bytes{host="sql1",type="internal_objects"} 262144');
+    expect(text).toContain('mssql_tempdb_space_bytes{host="sql1",type="free"} 8388608');
+    expect(text).toContain('mssql_snapshot_transaction_max_age_seconds{host="sql1"} 75');
+  });
+
+  it("runs the file space query in each online database", function () {
+    const registry = new client.Registry();
+    const entry = getMetrics(registry).mssql_database_files;
+    expect(entry.query).toContain("WHERE state = 0 AND HAS_DBACCESS(name) = 1");
+    expect(entry.query).toContain("FILEPROPERTY(name, ''SpaceUsed'')");
+    entry.collect(
+      [
+        ["shop", "shop", 0, 1280, 640, -1, 8192, false],
+        ["shop", "shop_log", 1, 256, 32, 268435456, 10, true],
+      ],
+      entry.metrics,
+      "sql1"
+    );
+
+    const text = registry.metrics();
+    expect(text).toContain('mssql_database_file_used_bytes{host="sql1",database="shop",logicalname="shop",type="0"} 5242880');
+    expect(text).toContain('mssql_database_file_max_size_bytes{host="sql1",database="shop",logicalname="shop",type="0"} -1');
+    expect(text).toContain('mssql_database_file_growth{host="sql1",database="shop",logicalname="shop",type="0"} 67108864');
+    expect(text).toContain('mssql_database_file_growth{host="sql1",database="shop",logicalname="shop_log",type="1"} 10');
+    expect(text).toContain('mssql_database_file_is_percent_growth{host="sql1",database="shop",logicalname="shop_log",type="1"} 1');
+  });
+
+  it("collects the Query Store queries of each database with Query Store enabled", function () {
+    const registry = new client.Registry();
+    const queryTexts = new Map();
+    const entries = getMetrics(registry, { queryText: { mode: "hash" }, queryTexts });
+    const entry = entries.mssql_most_wait_query;
+    expect(entry.query).toContain("sys.database_query_store_options WHERE actual_state IN (1, 2)");
+    entry.collect([["shop", 42, 7, "SELECT * FROM orders", "1500"]], entry.metrics, "sql1");
+
+    const [series] = registry.getSingleMetric("mssql_sum_total_wait_ms").get().values;
+    expect(series.labels).toEqual({ host: "sql1", database: "shop", query_id: 42, query_text_id: 7, query_hash: expect.stringMatching(/^[0-9a-f]{16}$/) });
+    expect(series.value).toBe(1500);
+    expect([...queryTexts.values()]).toEqual([{ host: "sql1", database: "shop", query_id: "42", query_text: "SELECT * FROM orders" }]);
+  });
+
+  it("exposes the last backups of each database", function () {
+    const registry = new client.Registry();
+    const entry = getMetrics(registry).mssql_backups;
+    expect(entry.query).toContain("AND bs.server_name = @@SERVERNAME");
+    expect(entry.query).toContain("AND bs.is_copy_only = 0");
+    entry.collect(
+      [
+        ["shop", 1, "D", 1760000000, "1048576"],
+        ["shop", 1, "I", null, null],
+        ["shop", 1, "L", 1760003600, "4096"],
+      ],
+      entry.metrics,
+      "sql1"
+    );
+
+    const text = registry.metrics();
+    expect(text).toContain('mssql_database_recovery_model{host="sql1",database="shop"} 1');
+    expect(text).toContain('mssql_last_backup_timestamp_seconds{host="sql1",database="shop",type="log"} 1760003600');
+    expect(text).toContain('mssql_last_backup_timestamp_seconds{host="sql1",database="shop",type="differential"} 0');
+    expect(text).toContain('mssql_last_backup_size_bytes{host="sql1",database="shop",type="full"} 1048576');
+    expect(text).not.toContain('mssql_last_backup_size_bytes{host="sql1",database="shop",type="differential"}');
+  });
+
+  it("exposes the last run of the SQL Agent jobs", function () {
+    const registry = new client.Registry();
+    const entry = getMetrics(registry).mssql_agent_jobs;
+    entry.collect(
+      [
+        ["nightly etl", "Data Collector", true, 0, 1, 1760000000, 13005, 1760086400],
+        ["manual", "[Uncategorized (Local)]", false, 0, null, null, null, null],
+      ],
+      entry.metrics,
+      "sql1"
+    );
+
+    const text = registry.metrics();
+    expect(text).toContain('mssql_agent_job_last_run_duration_seconds{host="sql1",job="nightly etl",category="Data Collector"} 5405');
+    expect(text).toContain('mssql_agent_job_enabled{host="sql1",job="manual",category="[Uncategorized (Local)]"} 0');
+    expect(text).not.toContain('mssql_agent_job_last_run_outcome{host="sql1",job="manual"');
+  });
+});
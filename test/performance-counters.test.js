@@ -0,0 +1,55 @@
+const client = require("prom-client");
+
+const { getPerformanceCounters } = require("../src/performance-counters");
+
+function rows(latchWaitTime, latchWaitTimeBase) {
+  return [
+    ["SQLServer:Buffer Manager", "Buffer cache hit ratio", "", 450, 537003264],
+    ["SQLServer:Buffer Manager", "Buffer cache hit ratio base", "", 500, 1073939712],
+    ["SQLServer:Buffer Manager", "Page life expectancy", "", 300, 65792],
+    ["SQLServer:Latches", "Latch Waits/sec", "", "1200", 272696576],
+    ["SQLServer:Latches", "Average Latch Wait Time (ms)", "", latchWaitTime, 1073874176],
+    ["SQLServer:Latches", "Average Latch Wait Time Base", "", latchWaitTimeBase, 1073939712],
+    ["SQLServer:Locks", "Lock Waits/sec", "_Total", "10", 272696576],
+    ["SQLServer:Locks", "Lock Waits/sec", "Object", "4", 272696576],
+  ];
+}
+
+function values(registry, name) {
+  return registry
+    .getSingleMetric(name)
+    .get()
+    .values.map((value) => [value.labels.object, value.labels.counter, value.labels.instance, value.value]);
+}
+
+describe("Performance counters", function () {
+  it("computes the value of each counter type", function () {
+    const registry = new client.Registry();
+    const patterns = [
+      { object: "Buffer Manager", counter: "*" },
+      { object: "latches", counter: "*" },
+      { object: "Locks", counter: "Lock Waits/sec", instance: "_Total" },
+    ];
+    const entry = getPerformanceCounters(patterns, registry).mssql_performance_counters;
+
+    entry.collect(rows(1000, 100), entry.metrics, "sql1");
+    expect(values(registry, "mssql_performance_counter")).toEqual([["Buffer Manager", "Page life expectancy", "", 300]]);
+    expect(values(registry, "mssql_performance_counter_ratio")).toEqual([["Buffer Manager", "Buffer cache hit ratio", "", 0.9]]);
+    expect(values(registry, "mssql_performance_counter_total")).toEqual([
+      ["Latches", "Latch Waits/sec", "", 1200],
+      ["Locks", "Lock Waits/sec", "_Total", 10],
+    ]);
+    expect(values(registry, "mssql_performance_counter_average")).toEqual([]);
+
+    entry.collect(rows(1600, 120), entry.metrics, "sql1");
+    expect(values(registry, "mssql_performance_counter_average")).toEqual([["Latches", "Average Latch Wait Time (ms)", "", 30]]);
+  });
+
+  it("collects the default counters", function () {
+    const registry = new client.Registry();
+    const entry = getPerformanceCounters(undefined, registry).mssql_performance_counters;
+    entry.collect(rows(1000, 100), entry.metrics, "sql1");
+    expect(values(registry, "mssql_performance_counter")).toEqual([]);
+    expect(values(registry, "mssql_performance_counter_ratio")).toEqual([["Buffer Manager", "Buffer cache hit ratio", "", 0.9]]);
+  });
+});
@@ -0,0 +1,177 @@
+jest.mock("mssql", () => ({ ConnectionPool: jest.fn() }));
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sql = require("mssql");
+
+const { createPool } = require("../src/pool");
+
+/**
+ * Fake mssql connection pools: connecting fails while state.failing is set, the health check fails while
+ * state.unhealthy is set
+ */
+const state = {};
+let created;
+
+function writeSecret(content) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "mssql-exporter-")), "secret");
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+function fakePool(config) {
+  const pool = {
+    config,
+    connected: false,
+    on: () => {},
+    connect: jest.fn(async () => {
+      if (state.failing) throw new Error("Login failed");
+      pool.connected = true;
+    }),
+    close: jest.fn(async () => {
+      pool.connected = false;
+    }),
+    request: () => ({
+      query: async () => {
+        if (state.unhealthy) throw new Error("Connection lost");
+        return { recordset: [[1]] };
+      },
+    }),
+  };
+  created.push(pool);
+  return pool;
+}
+
+describe("Pool", function () {
+  let now;
+
+  beforeEach(function () {
+    state.failing = false;
+    state.unhealthy = false;
+    created = [];
+    sql.ConnectionPool.mockImplementation(fakePool);
+    now = 1000000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(function () {
+    Date.now.mockRestore();
+  });
+
+  it("shares a single connection attempt between concurrent acquires", async function () {
+    const pool = createPool({ server: "sql1" });
+    const [a, b] = await Promise.all([pool.acquire(), pool.acquire()]);
+    expect(a).toBe(b);
+    expect(created.length).toBe(1);
+    expect(await pool.acquire()).toBe(a);
+    expect(created.length).toBe(1);
+  });
+
+  it("waits longer after each failed connection, up to a minute", async function () {
+    state.failing = true;
+    const pool = createPool({ server: "sql1" });
+    for (const delay of [1000, 2000, 4000, 8000, 16000, 32000, 60000, 60000]) {
+      await expect(pool.acquire()).rejects.toThrow("Login failed");
+      await expect(pool.acquire()).rejects.toThrow(`Server 'sql1' unavailable, next connection attempt in ${delay}ms`);
+      now += delay;
+    }
+    expect(created.every((candidate) => candidate.close.mock.calls.length === 1)).toBe(true);
+
+    state.failing = false;
+    const connected = await pool.acquire();
+    state.failing = true;
+    state.unhealthy = true;
+    await expect(pool.acquire()).rejects.toThrow("Login failed");
+    expect(connected.close).toHaveBeenCalled();
+    await expect(pool.acquire()).rejects.toThrow("next connection attempt in 1000ms");
+  });
+
+  it("reconnects when the health check fails", async function () {
+    const pool = createPool({ server: "sql1" });
+    const first = await pool.acquire();
+    state.unhealthy = true;
+    const second = await pool.acquire();
+    expect(second).not.toBe(first);
+    expect(first.close).toHaveBeenCalledTimes(1);
+  });
+
+  it("reconnects when the health check does not answer in time", async function () {
+    const pool = createPool({ server: "sql1" });
+    const first = await pool.acquire();
+    first.request = () => ({ query: () => new Promise(() => {}) });
+    jest.useFakeTimers("legacy");
+    try {
+      const acquired = pool.acquire();
+      jest.advanceTimersByTime(5000);
+      const second = await acquired;
+      expect(second).not.toBe(first);
+      expect(first.close).toHaveBeenCalledTimes(1);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it("closes the pools which lost their connection before reconnecting", async function () {
+    const pool = createPool({ server: "sql1" });
+    const first = await pool.acquire();
+    first.connected = false;
+    const second = await pool.acquire();
+    expect(second).not.toBe(first);
+    expect(first.close).toHaveBeenCalledTimes(1);
+    await pool.close();
+    expect(second.close).toHaveBeenCalledTimes(1);
+  });
+
+  it("only discards the pool whose health check failed", async function () {
+    const pool = createPool({ server: "sql1" });
+    const first = await pool.acquire();
+    let failLate;
+    const checks = [
+      () => Promise.reject(new Error("Connection lost")),
+      () => new Promise((resolve, reject) => (failLate = () => reject(new Error("Connection lost")))),
+    ];
+    first.request = () => ({ query: () => checks.shift()() });
+    const early = pool.acquire();
+    const late = pool.acquire();
+    const second = await early;
+    expect(second).not.toBe(first);
+    failLate();
+    expect(await late).toBe(second);
+    expect(first.close).toHaveBeenCalledTimes(1);
+    expect(second.close).not.toHaveBeenCalled();
+    expect(created.length).toBe(2);
+  });
+
+  it("authenticates with the access token of the token file", async function () {
+    const pool = createPool({ server: "sql1", tokenFile: writeSecret("eyJ0eXAi.token\n") });
+    await pool.acquire();
+    expect(created[0].config.authentication).toEqual({ type: "azure-active-directory-access-token", options: { token: "eyJ0eXAi.token" } });
+  });
+
+  it("reconnects with the new password when the password file is rotated", async function () {
+    const file = writeSecret("old");
+    const pool = createPool({ server: "sql1", user: "exporter", passwordFile: file });
+    const first = await pool.acquire();
+    expect(first.config.password).toBe("old");
+
+    fs.writeFileSync(file, "new");
+    const rotated = fs.statSync(file).mtimeMs / 1000 + 60;
+    fs.utimesSync(file, rotated, rotated);
+    const second = await pool.acquire();
+    expect(second).not.toBe(first);
+    expect(first.close).toHaveBeenCalledTimes(1);
+    expect(second.config.password).toBe("new");
+    expect(await pool.acquire()).toBe(second);
+  });
+
+  it("keeps the current pool while the password file is missing", async function () {
+    const file = writeSecret("old");
+    const pool = createPool({ server: "sql1", user: "exporter", passwordFile: file });
+    const first = await pool.acquire();
+    fs.unlinkSync(file);
+    expect(await pool.acquire()).toBe(first);
+    expect(first.close).not.toHaveBeenCalled();
+    expect(created.length).toBe(1);
+  });
+});
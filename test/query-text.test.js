@@ -0,0 +1,24 @@
+const { createQueryTextPolicy } = require("../src/query-text");
+
+const text = "SELECT o.id, o.status, o.amount FROM shop.dbo.orders o WHERE o.created > @since";
+
+describe("Query text policy", function () {
+  it("truncates the query text label by default", function () {
+    const policy = createQueryTextPolicy(undefined);
+    expect(policy.labelNames).toEqual(["query_sql_text"]);
+    expect(policy.labels("sql1", "shop", 12, text)).toEqual({ query_sql_text: text });
+    expect(createQueryTextPolicy({ length: 20 }).labels("sql1", "shop", 12, text)).toEqual({ query_sql_text: "SELECT o.id, o.statu..." });
+  });
+
+  it("replaces the query text with a hash or no label at all", function () {
+    const hash = createQueryTextPolicy({ mode: "hash" });
+    expect(hash.labelNames).toEqual(["query_hash"]);
+    expect(hash.labels("sql1", "shop", 12, text).query_hash).toMatch(/^[0-9a-f]{16}$/);
+
+    const texts = new Map();
+    const none = createQueryTextPolicy({ mode: "none" }, texts);
+    expect(none.labelNames).toEqual([]);
+    expect(none.labels("sql1", "shop", 12, text)).toEqual({});
+    expect([...texts.values()]).toEqual([{ host: "sql1", database: "shop", query_id: "12", query_text: text }]);
+  });
+});
@@ -0,0 +1,321 @@
+const client = require("prom-client");
+
+const { getExporterMetrics } = require("../src/exporter-metrics");
+const { scrapeDeadline, scrape, refresh } = require("../src/scraper");
+const { SERVER_INFO_QUERY } = require("../src/server-info");
+
+/**
+ * Fake connection pool of a SQL Server 2019 Enterprise answering each query after the given delay (never when delay is
+ * null) with a single row or the given recordset
+ */
+function fakeConnection(delays, recordsets = {}) {
+  recordsets = Object.assign({ [SERVER_INFO_QUERY]: [["15.0.4153.1", 3, "Enterprise Edition (64-bit)", 0]] }, recordsets);
+  const cancelled = [];
+  const queried = [];
+  return {
+    cancelled,
+    queried,
+    config: { server: "sql1" },
+    request: () => {
+      let query;
+      return {
+        query: (sql) => {
+          query = sql;
+          queried.push(sql);
+          const delay = delays[sql];
+          return new Promise((resolve) => delay !== null && setTimeout(() => resolve({ recordset: recordsets[sql] || [[1]] }), delay));
+        },
+        cancel: () => cancelled.push(query),
+      };
+    },
+  };
+}
+
+function fakeTarget(connection, timeouts) {
+  const registry = new client.Registry();
+  const gauge = (name) => new client.Gauge({ name, help: name, labelNames: ["host"], registers: [registry] });
+  const entry = (name) => ({ metrics: { [name]: gauge(name) }, query: name, collect: (rows, metrics, host) => metrics[name].set({ host }, rows[0][0]) });
+  return {
+    name: "sql1",
+    host: "sql1",
+    timeouts: Object.assign({ query: 1000, collectors: {}, scrape: Infinity, scrapeOffset: 0 }, timeouts),
+    maxSeries: Infinity,
+    pool: { acquire: () => Promise.resolve(connection) },
+    registry,
+    entries: { mssql_up: entry("mssql_up"), fast: entry("fast"), slow: entry("slow") },
+    exporterMetrics: getExporterMetrics(registry),
+  };
+}
+
+function values(target, name) {
+  return target.registry
+    .getSingleMetric(name)
+    .get()
+    .values.map((value) => [value.labels, value.value]);
+}
+
+describe("Scraper", function () {
+  beforeEach(function () {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(function () {
+    console.error.mockRestore();
+  });
+
+  it("derives the deadline from the Prometheus scrape timeout header", function () {
+    const now = Date.now();
+    expect(scrapeDeadline({ scrape: Infinity, scrapeOffset: 500 }, "10")).toBeGreaterThanOrEqual(now + 9500);
+    expect(scrapeDeadline({ scrape: Infinity, scrapeOffset: 500 }, "10")).toBeLessThan(now + 10000);
+    expect(scrapeDeadline({ scrape: 2000, scrapeOffset: 500 }, "10")).toBeLessThan(now + 2500);
+    expect(scrapeDeadline({ scrape: Infinity, scrapeOffset: 500 }, undefined)).toBe(Infinity);
+  });
+
+  it("cancels queries exceeding their timeout and keeps the completed ones", async function () {
+    const connection = fakeConnection({ mssql_up: 0, fast: 0, slow: null });
+    const target = fakeTarget(connection, { collectors: { slow: 50 } });
+    await scrape(target, target.entries, Infinity);
+    expect(connection.cancelled).toEqual(["slow"]);
+    expect(values(target, "fast")).toEqual([[{ host: "sql1" }, 1]]);
+    expect(values(target, "slow")).toEqual([]);
+    expect(values(target, "mssql_exporter_collector_timeout")).toEqual([
+      [{ host: "sql1", collector: "mssql_up" }, 0],
+      [{ host: "sql1", collector: "fast" }, 0],
+      [{ host: "sql1", collector: "slow" }, 1],
+    ]);
+    expect(values(target, "mssql_exporter_collector_success")).toEqual([
+      [{ host: "sql1", collector: "mssql_up" }, 1],
+      [{ host: "sql1", collector: "fast" }, 1],
+      [{ host: "sql1", collector: "slow" }, 0],
+    ]);
+    expect(values(target, "mssql_exporter_collector_rows")).toEqual([
+      [{ host: "sql1", collector: "mssql_up" }, 1],
+      [{ host: "sql1", collector: "fast" }, 1],
+      [{ host: "sql1", collector: "slow" }, 0],
+    ]);
+    expect(values(target, "mssql_exporter_errors_total")).toEqual([[{ host: "sql1", collector: "slow", reason: "timeout" }, 1]]);
+    expect(values(target, "mssql_exporter_scrapes_total")).toEqual([[{ host: "sql1" }, 1]]);
+  });
+
+  it("only exposes the series observed during the last scrape", async function () {
+    const connection = fakeConnection({ mssql_up: 0, fast: 0, slow: 0 });
+    const target = fakeTarget(connection, {});
+    let snapshot = await scrape(target, target.entries, Infinity);
+    expect(snapshot.getMetricsAsJSON().find((metric) => metric.name === "fast").values.length).toBe(1);
+
+    target.pool.acquire = () => Promise.reject(new Error("Login failed"));
+    snapshot = await scrape(target, target.entries, Infinity);
+    expect(values(target, "fast")).toEqual([]);
+    expect(values(target, "mssql_up")).toEqual([[{ host: "sql1" }, 0]]);
+    expect(values(target, "mssql_exporter_collector_success")).toEqual([]);
+    expect(snapshot.getMetricsAsJSON().find((metric) => metric.name === "fast").values).toEqual([]);
+  });
+
+  it("serializes concurrent scrapes of a target", async function () {
+    const connection = fakeConnection({ mssql_up: 0, fast: 20, slow: 20 });
+    const target = fakeTarget(connection, {});
+    const [first, second] = await Promise.all([
+      scrape(target, { fast: target.entries.fast }, Infinity),
+      scrape(target, { slow: target.entries.slow }, Infinity),
+    ]);
+    const series = (snapshot, name) => snapshot.getMetricsAsJSON().find((metric) => metric.name === name).values.length;
+    expect(series(first, "fast")).toBe(1);
+    expect(series(second, "fast")).toBe(1);
+    expect(series(second, "slow")).toBe(1);
+  });
+
+  it("reports connection errors", async function () {
+    const target = fakeTarget(null, {});
+    target.pool.acquire = () => Promise.reject(new Error("Login failed"));
+    await scrape(target, target.entries, Infinity);
+    expect(values(target, "mssql_up")).toEqual([[{ host: "sql1" }, 0]]);
+    expect(values(target, "mssql_exporter_errors_total")).toEqual([[{ host: "sql1", collector: "", reason: "connect" }, 1]]);
+  });
+
+  it("only reports empty results of the collectors not allowing them", async function () {
+    const connection = fakeConnection({ mssql_up: 0, fast: 0, slow: 0 }, { fast: [], slow: [] });
+    const target = fakeTarget(connection, {});
+    target.entries.fast.allowEmpty = true;
+    await scrape(target, target.entries, Infinity);
+    expect(values(target, "mssql_exporter_errors_total")).toEqual([[{ host: "sql1", collector: "slow", reason: "empty" }, 1]]);
+    expect(console.error).toHaveBeenCalledTimes(1);
+  });
+
+  it("drops the series exceeding the maximum number of series per metric", async function () {
+    const connection = fakeConnection({ mssql_up: 0, fast: 0, slow: 0 }, { fast: [[1], [2], [3]] });
+    const target = fakeTarget(connection, {});
+    target.maxSeries = 2;
+    target.entries.fast.collect = (rows, metrics, host) => rows.forEach((row) => metrics.fast.set({ host: `${host}-${row[0]}` }, row[0]));
+    await scrape(target, target.entries, Infinity);
+    expect(values(target, "fast")).toEqual([
+      [{ host: "sql1-1" }, 1],
+      [{ host: "sql1-2" }, 2],
+    ]);
+    expect(values(target, "mssql_exporter_dropped_series_total")).toEqual([[{ host: "sql1", metric: "fast" }, 1]]);
+  });
+
+  it("serves the rows refreshed in the background for the collectors with an interval", async function () {
+    const connection = fakeConnection({ mssql_up: 0, fast: 0, slow: 0 }, { slow: [[5]] });
+    const target = fakeTarget(connection, {});
+    Object.assign(target.entries.slow, { interval: 60000, timeout: 5000 });
+    await scrape(target, target.entries, Infinity);
+    expect(values(target, "slow")).toEqual([]);
+    expect(values(target, "mssql_exporter_collector_success")).toContainEqual([{ host: "sql1", collector: "slow" }, 1]);
+
+    await refresh(target, { slow: target.entries.slow });
+    await refresh(target, { slow: target.entries.slow });
+    await scrape(target, target.entries, Infinity);
+    await scrape(target, target.entries, Infinity);
+    expect(connection.queried.filter((sql) => sql === "slow")).toEqual(["slow"]);
+    expect(connection.queried.filter((sql) => sql === "fast")).toEqual(["fast", "fast", "fast"]);
+    expect(values(target, "slow")).toEqual([[{ host: "sql1" }, 5]]);
+  });
+
+  it("refreshes on the refresh pools of the target and gives up a connection not acquired in time", async function () {
+    const connection = fakeConnection({ mssql_up: 0, fast: 0, slow: 0 });
+    const background = fakeConnection({ slow: 0 }, { slow: [[5]] });
+    const target = fakeTarget(connection, { query: 50 });
+    Object.assign(target.entries.slow, { interval: 60000, timeout: 5000 });
+    target.refreshPools = { pool: { acquire: () => new Promise(() => {}) }, databasePools: null };
+    await refresh(target, { slow: target.entries.slow });
+    expect(background.queried).toEqual([]);
+
+    target.refreshPools.pool.acquire = () => Promise.resolve(background);
+    await refresh(target, { slow: target.entries.slow });
+    expect(background.queried).toContain("slow");
+    expect(connection.queried).toEqual([]);
+  });
+
+  it("keeps the rows of the last successful refresh and only retries a failed one after the interval", async function () {
+    const delays = { mssql_up: 0, fast: 0, slow: 0 };
+    const connection = fakeConnection(delays, { slow: [[5]] });
+    const target = fakeTarget(connection, {});
+    Object.assign(target.entries.slow, { interval: 60000, timeout: 50 });
+    await refresh(target, { slow: target.entries.slow });
+
+    delays.slow = null;
+    target.entries.slow.refreshed.get("").time -= 60000;
+    await refresh(target, { slow: target.entries.slow });
+    await refresh(target, { slow: target.entries.slow });
+    expect(connection.queried.filter((sql) => sql === "slow")).toEqual(["slow", "slow"]);
+    expect(connection.cancelled).toEqual(["slow"]);
+
+    await scrape(target, target.entries, Infinity);
+    expect(values(target, "slow")).toEqual([[{ host: "sql1" }, 5]]);
+    expect(values(target, "mssql_exporter_collector_timeout")).toContainEqual([{ host: "sql1", collector: "slow" }, 1]);
+    expect(values(target, "mssql_exporter_collector_rows")).toContainEqual([{ host: "sql1", collector: "slow" }, 1]);
+  });
+
+  it("skips the collectors not supported by the server", async function () {
+    const connection = fakeConnection({ mssql_up: 0, fast: 0, slow: 0 });
+    const target = fakeTarget(connection, {});
+    target.entries.fast.supports = { version: "14.0.0.0", editions: ["standard", "enterprise"] };
+    target.entries.slow.supports = { hadr: true };
+    await scrape(target, target.entries, Infinity);
+    await scrape(target, target.entries, Infinity);
+    expect(connection.queried.filter((sql) => sql === SERVER_INFO_QUERY).length).toBe(1);
+    expect(connection.queried.filter((sql) => sql === "slow")).toEqual([]);
+    expect(values(target, "fast")).toEqual([[{ host: "sql1" }, 1]]);
+    expect(values(target, "mssql_exporter_collector_success").map(([labels]) => labels.collector)).toEqual(["mssql_up", "fast"]);
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it("skips the collectors of specific editions until the server is detected", async function () {
+    const connection = fakeConnection({ mssql_up: 0, fast: 0, slow: 0 });
+    const request = connection.request;
+    let detectable = false;
+    connection.request = () => {
+      const detection = request();
+      const query = detection.query;
+      detection.query = (sql) => (sql === SERVER_INFO_QUERY && !detectable ? Promise.reject(new Error("Connection lost")) : query(sql));
+      return detection;
+    };
+    const target = fakeTarget(connection, {});
+    target.entries.fast.supports = { editions: ["enterprise"] };
+    target.entries.slow.supports = { version: "14.0.0.0" };
+    await scrape(target, target.entries, Infinity);
+    expect(connection.queried.filter((sql) => sql === "fast")).toEqual([]);
+    expect(values(target, "slow")).toEqual([[{ host: "sql1" }, 1]]);
+    expect(values(target, "mssql_exporter_collector_success")).toContainEqual([{ host: "sql1", collector: "fast" }, 0]);
+    expect(values(target, "mssql_exporter_errors_total")).toEqual([[{ host: "sql1", collector: "fast", reason: "detection" }, 1]]);
+
+    detectable = true;
+    await scrape(target, target.entries, Infinity);
+    expect(values(target, "fast")).toEqual([[{ host: "sql1" }, 1]]);
+    expect(values(target, "mssql_exporter_collector_success")).toContainEqual([{ host: "sql1", collector: "fast" }, 1]);
+  });
+
+  it("runs the database collectors on each database of an Azure SQL Database logical server", async function () {
+    const azure = { [SERVER_INFO_QUERY]: [["12.0.2000.8", 5, "SQL Azure", 0]] };
+    const master = fakeConnection(
+      { mssql_up: 0, fast: 0, sizes: 0, states: 0 },
+      Object.assign(
+        {
+          states: [
+            ["shop", 0],
+            ["crm", 1],
+          ],
+        },
+        azure
+      )
+    );
+    const masterRequest = master.request;
+    master.request = () => {
+      const request = masterRequest();
+      const query = request.query;
+      request.query = (sql) => (sql.includes("FROM sys.databases") ? Promise.resolve({ recordset: [["shop"], ["crm"]] }) : query(sql));
+      return request;
+    };
+    const databases = {
+      shop: fakeConnection({ sizes: 0 }, Object.assign({ sizes: [["shop", 10]] }, azure)),
+      crm: fakeConnection({ sizes: 0 }, Object.assign({ sizes: [["crm", 20]] }, azure)),
+    };
+    const target = fakeTarget(master, {});
+    const size = new client.Gauge({ name: "size", help: "size", labelNames: ["host", "database"], registers: [target.registry] });
+    const state = new client.Gauge({ name: "state", help: "state", labelNames: ["host", "database"], registers: [target.registry] });
+    target.entries = {
+      mssql_up: target.entries.mssql_up,
+      fast: target.entries.fast,
+      sizes: {
+        metrics: { size },
+        query: "sizes",
+        collect: (rows, metrics, host) => rows.forEach((row) => metrics.size.set({ host, database: row[0] }, row[1])),
+        perDatabase: true,
+      },
+      // labelled by database but reading the whole server: runs once, on the connection of the target
+      states: {
+        metrics: { state },
+        query: "states",
+        collect: (rows, metrics, host) => rows.forEach((row) => metrics.state.set({ host, database: row[0] }, row[1])),
+      },
+    };
+    target.databasePools = { acquire: (database) => Promise.resolve(databases[database]), retain: jest.fn() };
+    await scrape(target, target.entries, Infinity);
+    expect(target.databasePools.retain).toHaveBeenCalledWith(["shop", "crm"]);
+    expect(master.queried).not.toContain("sizes");
+    expect(master.queried.filter((query) => query === "states")).toEqual(["states"]);
+    expect(databases.shop.queried).toEqual(["sizes"]);
+    expect(databases.crm.queried).toEqual(["sizes"]);
+    expect(values(target, "fast")).toEqual([[{ host: "sql1" }, 1]]);
+    expect(values(target, "size")).toEqual([
+      [{ host: "sql1", database: "shop" }, 10],
+      [{ host: "sql1", database: "crm" }, 20],
+    ]);
+    expect(values(target, "state")).toEqual([
+      [{ host: "sql1", database: "shop" }, 0],
+      [{ host: "sql1", database: "crm" }, 1],
+    ]);
+    expect(values(target, "mssql_exporter_collector_rows")).toContainEqual([{ host: "sql1", collector: "sizes" }, 2]);
+    expect(values(target, "mssql_exporter_collector_rows")).toContainEqual([{ host: "sql1", collector: "states" }, 2]);
+  });
+
+  it("returns partial results when the scrape deadline is reached", async function () {
+    const connection = fakeConnection({ mssql_up: 0, fast: 0, slow: 500 });
+    const target = fakeTarget(connection, {});
+    const started = Date.now();
+    await scrape(target, target.entries, Date.now() + 100);
+    expect(Date.now() - started).toBeLessThan(400);
+    expect(connection.cancelled).toEqual(["slow"]);
+    expect(values(target, "fast")).toEqual([[{ host: "sql1" }, 1]]);
+  });
+});
@@ -0,0 +1,26 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { addSecret, readSecretFile, redact } = require("../src/secrets");
+
+describe("Secrets", function () {
+  it("redacts the passwords of connection strings", function () {
+    expect(redact("Server=sql1;User id=sa;Password=s3cr3t;Database=master")).toBe("Server=sql1;User id=sa;Password=***;Database=master");
+    expect(redact("Server=sql1;PWD={a;b}}c};Database=master")).toBe("Server=sql1;PWD=***;Database=master");
+  });
+
+  it("redacts the registered secrets in errors", function () {
+    addSecret("Tr0ub4dor&3");
+    const error = new Error("Login failed with password Tr0ub4dor&3");
+    expect(redact(error)).toContain("Login failed with password ***");
+    expect(redact(error)).not.toContain("Tr0ub4dor&3");
+  });
+
+  it("reads secret files without their trailing line break", function () {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "mssql-exporter-")), "password");
+    fs.writeFileSync(file, "correct horse battery staple\n");
+    expect(readSecretFile(file)).toBe("correct horse battery staple");
+    expect(redact("password is correct horse battery staple")).toBe("password is ***");
+  });
+});
@@ -0,0 +1,37 @@
+const { INSTANCE_EDITIONS, SERVER_INFO_QUERY, serverInfo, unsupportedReason } = require("../src/server-info");
+
+function fakeConnection(row) {
+  const queries = [];
+  return {
+    queries,
+    config: { server: "sql1" },
+    request: () => ({
+      query: (sql) => {
+        queries.push(sql);
+        return Promise.resolve({ recordset: [row] });
+      },
+    }),
+  };
+}
+
+describe("Server information", function () {
+  it("detects the server once per connection", async function () {
+    const connection = fakeConnection(["14.0.3456.2", 4, "Express Edition (64-bit)", 0]);
+    const info = await serverInfo(connection);
+    expect(info).toMatchObject({ version: { major: 14, minor: 0, patch: 3456, build: 2 }, engineEdition: "express", hadr: false });
+    expect(await serverInfo(connection)).toBe(info);
+    expect(connection.queries).toEqual([SERVER_INFO_QUERY]);
+  });
+
+  it("explains why a collector is not supported", async function () {
+    const express2016 = await serverInfo(fakeConnection(["13.0.4001.0", 4, "Express Edition", 0]));
+    expect(unsupportedReason({}, express2016)).toBeNull();
+    expect(unsupportedReason({ supports: { version: "13.0.5026.0" } }, express2016)).toBe("requires version 13.0.5026.0, server runs 13.0.4001.0");
+    expect(unsupportedReason({ supports: { editions: ["standard", "enterprise"] } }, express2016)).toBe("not supported by engine edition express");
+    expect(unsupportedReason({ supports: { hadr: true } }, express2016)).toBe("requires Always On availability groups, which are disabled");
+
+    const azure = await serverInfo(fakeConnection(["12.0.2000.8", 5, "SQL Azure", 1]));
+    expect(unsupportedReason({ supports: { version: "14.0.0.0" } }, azure)).toBeNull();
+    expect(unsupportedReason({ supports: { editions: INSTANCE_EDITIONS } }, azure)).toBe("not supported by engine edition azure_sql_database");
+  });
+});
@@ -0,0 +1,61 @@
+const client = require("prom-client");
+
+const { getWaitStats } = require("../src/wait-stats");
+
+const rows = [
+  ["PAGEIOLATCH_SH", "120", "4500", "300"],
+  ["SLEEP_TASK", "90000", "8000000", "100"],
+  ["LCK_M_X", "3", "2000", "0"],
+];
+
+function values(registry, name) {
+  return registry
+    .getSingleMetric(name)
+    .get()
+    .values.map((value) => [value.labels.wait_type, value.value]);
+}
+
+describe("Wait statistics", function () {
+  it("exposes the waits which are not benign", function () {
+    const registry = new client.Registry();
+    const entry = getWaitStats(undefined, registry).mssql_wait_stats;
+    entry.collect(rows, entry.metrics, "sql1");
+    expect(values(registry, "mssql_wait_tasks_total")).toEqual([
+      ["PAGEIOLATCH_SH", 120],
+      ["LCK_M_X", 3],
+    ]);
+    expect(values(registry, "mssql_wait_time_seconds_total")).toEqual([
+      ["PAGEIOLATCH_SH", 4.5],
+      ["LCK_M_X", 2],
+    ]);
+    expect(values(registry, "mssql_signal_wait_time_seconds_total")).toEqual([
+      ["PAGEIOLATCH_SH", 0.3],
+      ["LCK_M_X", 0],
+    ]);
+  });
+
+  it("uses the configured ignored wait types", function () {
+    const registry = new client.Registry();
+    const entry = getWaitStats(["lck_*"], registry).mssql_wait_stats;
+    entry.collect(rows, entry.metrics, "sql1");
+    expect(values(registry, "mssql_wait_tasks_total").map(([waitType]) => waitType)).toEqual(["PAGEIOLATCH_SH", "SLEEP_TASK"]);
+  });
+
+  it("exposes the waits of Azure SQL Database on their own metrics labelled with their database", function () {
+    const registry = new client.Registry();
+    const entries = getWaitStats(undefined, registry);
+    const entry = entries.mssql_azure_wait_stats;
+    expect(entry.perDatabase).toBe(true);
+    expect(entries.mssql_wait_stats.perDatabase).toBeUndefined();
+    expect(Object.values(entries.mssql_wait_stats.metrics).map((metric) => metric.labelNames)).toEqual([
+      ["host", "wait_type"],
+      ["host", "wait_type"],
+      ["host", "wait_type"],
+    ]);
+    entry.collect([["PAGEIOLATCH_SH", "120", "4500", "300", "shop"]], entry.metrics, "sql1");
+    expect(registry.getSingleMetric("mssql_azure_wait_tasks_total").get().values).toEqual([
+      expect.objectContaining({ labels: { host: "sql1", database: "shop", wait_type: "PAGEIOLATCH_SH" }, value: 120 }),
+    ]);
+    expect(registry.getSingleMetric("mssql_wait_tasks_total").get().values).toEqual([]);
+  });
+});
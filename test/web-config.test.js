@@ -0,0 +1,194 @@
+const bcrypt = require("bcryptjs");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const https = require("https");
+const os = require("os");
+const path = require("path");
+
+const { loadWebConfig, createServer, webAuthentication } = require("../src/web-config");
+
+function writeWebConfig(content) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "mssql-exporter-")), "web-config.yml");
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+/**
+ * Generates with openssl an EC key and a certificate named after the common name, signed by the CA when given
+ */
+function certificate(dir, name, commonName, ca) {
+  const openssl = (...args) => execFileSync("openssl", args, { cwd: dir, stdio: "pipe" });
+  const key = ["-newkey", "ec", "-pkeyopt", "ec_paramgen_curve:prime256v1", "-nodes", "-keyout", `${name}.key`, "-subj", `/CN=${commonName}`];
+  if (!ca) {
+    openssl("req", "-x509", ...key, "-out", `${name}.crt`, "-days", "1");
+  } else {
+    fs.writeFileSync(path.join(dir, `${name}.ext`), "subjectAltName=IP:127.0.0.1\n");
+    openssl("req", ...key, "-out", `${name}.csr`);
+    const signing = ["-CA", `${ca}.crt`, "-CAkey", `${ca}.key`, "-CAcreateserial", "-extfile", `${name}.ext`];
+    openssl("x509", "-req", "-in", `${name}.csr`, ...signing, "-out", `${name}.crt`, "-days", "1");
+  }
+  return { cert: fs.readFileSync(path.join(dir, `${name}.crt`)), key: fs.readFileSync(path.join(dir, `${name}.key`)) };
+}
+
+/**
+ * Requests the server on a new TLS connection, resolving with the status and the common name of the server certificate
+ */
+function get(server, options) {
+  return new Promise((resolve, reject) => {
+    const req = https.get(Object.assign({ host: "127.0.0.1", port: server.address().port, agent: false }, options), (res) => {
+      const commonName = res.socket.getPeerCertificate().subject.CN;
+      res.resume();
+      res.on("end", () => resolve({ status: res.statusCode, commonName }));
+    });
+    req.on("error", reject);
+  });
+}
+
+function fakeRequest(authorization) {
+  return { socket: {}, get: (header) => (header === "Authorization" ? authorization : undefined) };
+}
+
+function fakeResponse() {
+  const res = { headers: {} };
+  res.set = (name, value) => (res.headers[name] = value);
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.send = (body) => (res.body = body);
+  return res;
+}
+
+function basic(user, password) {
+  return `Basic ${Buffer.from(`${user}:${password}`).toString("base64")}`;
+}
+
+/**
+ * Runs the middleware, resolving with the response once it called next or answered
+ */
+function authenticate(middleware, req) {
+  return new Promise((resolve) => {
+    const res = fakeResponse();
+    res.send = (body) => resolve(Object.assign(res, { body }));
+    middleware(req, res, () => resolve(Object.assign(res, { passed: true })));
+  });
+}
+
+describe("Web configuration", function () {
+  it("serves plain HTTP without authentication by default", function () {
+    expect(loadWebConfig(undefined)).toEqual({ tls: null, users: {} });
+  });
+
+  it("resolves the certificate files relative to the web configuration file", function () {
+    const file = writeWebConfig(
+      [
+        "tls_server_config:",
+        "  cert_file: server.crt",
+        "  key_file: /etc/exporter/server.key",
+        "  client_auth_type: RequireAndVerifyClientCert",
+        "  client_ca_file: ca.crt",
+      ].join("\n")
+    );
+    expect(loadWebConfig(file).tls).toEqual({
+      certFile: path.join(path.dirname(file), "server.crt"),
+      keyFile: "/etc/exporter/server.key",
+      clientAuthType: "RequireAndVerifyClientCert",
+      clientCaFile: path.join(path.dirname(file), "ca.crt"),
+      minVersion: "TLSv1.2",
+    });
+  });
+
+  it("rejects invalid settings", function () {
+    expect(() => loadWebConfig(writeWebConfig("tls_server_config:\n  cert_file: server.crt\n"))).toThrow(
+      "Invalid web configuration: tls_server_config.key_file must be a non-empty string"
+    );
+    expect(() => loadWebConfig(writeWebConfig("tls_server_config:\n  cert_file: a\n  key_file: b\n  client_auth_type: VerifyClientCertIfGiven\n"))).toThrow(
+      "Invalid web configuration: tls_server_config.client_ca_file is required by client_auth_type VerifyClientCertIfGiven"
+    );
+    expect(() => loadWebConfig(writeWebConfig("basic_auth_users:\n  prometheus: plaintext\n"))).toThrow(
+      "Invalid web configuration: basic_auth_users.prometheus must be a bcrypt hash"
+    );
+    expect(() => loadWebConfig(writeWebConfig("http_server_config: {}\n"))).toThrow(
+      "Invalid web configuration: file.http_server_config is not a known setting"
+    );
+  });
+
+  it("checks the basic authentication of the requests", async function () {
+    const hash = jest.spyOn(bcrypt, "hash");
+    const middleware = webAuthentication({ tls: null, users: { prometheus: bcrypt.hashSync("scrape", 4) } });
+    // the unknown users are checked against a hash of the same cost
+    expect(hash).toHaveBeenCalledWith(expect.any(String), 4);
+    hash.mockRestore();
+
+    expect((await authenticate(middleware, fakeRequest(basic("prometheus", "scrape")))).passed).toBe(true);
+    // from the cache
+    expect((await authenticate(middleware, fakeRequest(basic("prometheus", "scrape")))).passed).toBe(true);
+
+    for (const authorization of [undefined, basic("prometheus", "wrong"), basic("grafana", "scrape"), "Bearer token"]) {
+      const res = await authenticate(middleware, fakeRequest(authorization));
+      expect(res.passed).toBeUndefined();
+      expect(res.statusCode).toBe(401);
+      expect(res.headers["WWW-Authenticate"]).toBe("Basic");
+    }
+  });
+
+  it("requires a client certificate when the client authentication type asks for one", function () {
+    const middleware = webAuthentication({ tls: { clientAuthType: "RequireAnyClientCert" }, users: {} });
+    const next = jest.fn();
+    const res = fakeResponse();
+    middleware({ socket: { getPeerCertificate: () => ({}) } }, res, next);
+    expect(res.statusCode).toBe(403);
+    middleware({ socket: { getPeerCertificate: () => ({ subject: { CN: "prometheus" } }) } }, fakeResponse(), next);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  it("serves HTTPS, verifies the client certificates and reloads a renewed certificate", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mssql-exporter-"));
+    const ca = certificate(dir, "ca", "test-ca");
+    certificate(dir, "server", "exporter", "ca");
+    const client = certificate(dir, "client", "prometheus", "ca");
+    const file = path.join(dir, "web-config.yml");
+    fs.writeFileSync(
+      file,
+      [
+        "tls_server_config:",
+        "  cert_file: server.crt",
+        "  key_file: server.key",
+        "  client_auth_type: RequireAndVerifyClientCert",
+        "  client_ca_file: ca.crt",
+      ].join("\n")
+    );
+    const watchers = {};
+    const watchFile = jest.spyOn(fs, "watchFile").mockImplementation((watched, options, listener) => {
+      watchers[watched] = listener;
+      return { unref: () => {} };
+    });
+    const server = createServer((req, res) => res.end("ok"), loadWebConfig(file));
+    watchFile.mockRestore();
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    try {
+      expect(Object.keys(watchers).sort()).toEqual(["ca.crt", "server.crt", "server.key"].map((name) => path.join(dir, name)));
+      const options = Object.assign({ ca: ca.cert }, client);
+      expect(await get(server, options)).toEqual({ status: 200, commonName: "exporter" });
+      // the handshake fails without a client certificate signed by the client CA
+      await expect(get(server, { ca: ca.cert })).rejects.toThrow();
+      await expect(get(server, Object.assign({ ca: ca.cert }, certificate(dir, "other", "other")))).rejects.toThrow();
+
+      certificate(dir, "server", "renewed", "ca");
+      watchers[path.join(dir, "server.crt")]({ mtimeMs: 1 }, { mtimeMs: 1 });
+      expect(await get(server, options)).toEqual({ status: 200, commonName: "exporter" });
+      watchers[path.join(dir, "server.crt")]({ mtimeMs: 2 }, { mtimeMs: 1 });
+      expect(await get(server, options)).toEqual({ status: 200, commonName: "renewed" });
+
+      // a broken certificate keeps the previous one
+      const error = jest.spyOn(console, "error").mockImplementation(() => {});
+      fs.writeFileSync(path.join(dir, "server.crt"), "broken");
+      watchers[path.join(dir, "server.crt")]({ mtimeMs: 3 }, { mtimeMs: 2 });
+      expect(error).toHaveBeenCalledWith("Error reloading the TLS certificate, keeping the previous one", expect.any(String));
+      error.mockRestore();
+      expect(await get(server, options)).toEqual({ status: 200, commonName: "renewed" });
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});